@@ -0,0 +1,149 @@
+/**
+ * PixelPeek service worker (registered by src/lib/offline.js)
+ * - install: precaches the app shell, every built chunk and stylesheet
+ *   (listed in /precache-manifest.json, emitted by vite.config.js) and the fonts
+ * - navigation: network first, falling back to the cached app shell
+ * - built assets: cache first; fonts: stale-while-revalidate
+ * - API calls and photos are not intercepted (photos are stored in IndexedDB)
+ */
+
+const CACHE_PREFIX = "pixelpeek-";
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+const FONT_STYLESHEETS = [
+  "https://fonts.googleapis.com/css2?family=Press+Start+2P&display=swap",
+  "https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap",
+  "https://fonts.googleapis.com/css2?family=Orbitron:wght@400;700;900&display=swap",
+];
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+let shellCacheName = null;
+
+/**
+ * Name of the cache holding the current build
+ */
+async function getShellCacheName() {
+  if (shellCacheName) return shellCacheName;
+  const keys = await caches.keys();
+  shellCacheName = keys.find((key) => key.startsWith(`${CACHE_PREFIX}shell-`)) || null;
+  return shellCacheName;
+}
+
+/**
+ * Cache the font stylesheets and the font files they reference (best effort)
+ */
+async function precacheFonts() {
+  const cache = await caches.open(FONT_CACHE);
+  await Promise.all(
+    FONT_STYLESHEETS.map(async (url) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) return;
+        await cache.put(url, response.clone());
+
+        const css = await response.text();
+        const fontUrls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com[^)]+)\)/g)].map((match) => match[1]);
+        await cache.addAll(fontUrls);
+      } catch (error) {
+        console.warn("[sw] Font precache failed:", url, error);
+      }
+    })
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const response = await fetch("/precache-manifest.json", { cache: "no-store" });
+      const { version, files } = await response.json();
+
+      const cache = await caches.open(`${CACHE_PREFIX}shell-${version}`);
+      await cache.addAll(files);
+      await precacheFonts();
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      // Keep only the newest shell cache
+      const keys = await caches.keys();
+      const shells = keys.filter((key) => key.startsWith(`${CACHE_PREFIX}shell-`));
+      const manifest = await fetch("/precache-manifest.json", { cache: "no-store" })
+        .then((response) => response.json())
+        .catch(() => null);
+      const current = manifest ? `${CACHE_PREFIX}shell-${manifest.version}` : shells[shells.length - 1];
+
+      await Promise.all(shells.filter((key) => key !== current).map((key) => caches.delete(key)));
+      shellCacheName = current;
+      await self.clients.claim();
+    })()
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(RUNTIME_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const shell = await getShellCacheName();
+    const fallback = shell && fallbackUrl ? await (await caches.open(shell)).match(fallbackUrl) : null;
+    if (fallback) return fallback;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  return cached || networkFirst(request);
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(FONT_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || network;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+    return;
+  }
+
+  // Same-origin only; the API proxy must always hit the network
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/index.html"));
+    return;
+  }
+
+  if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  // Other same-origin files (e.g. rounds/manifest.json): fresh when online, cached offline
+  event.respondWith(networkFirst(request));
+});
@@ -0,0 +1,82 @@
+/**
+ * Local analytics collector: logs every batch the http sink sends
+ * Usage:
+ *   npm run collector                 # listen on COLLECTOR_PORT (default 8787)
+ *   npm run collector -- --check      # post a sample batch to itself and exit (0 = ok)
+ * Point the game at it with
+ *   VITE_ANALYTICS_SINKS=console,http VITE_ANALYTICS_ENDPOINT=http://localhost:8787/api/analytics npm run dev
+ * Set ANALYTICS_LOG_FILE to also append each batch to a newline-delimited JSON file.
+ */
+
+import { createServer } from "node:http";
+import { createProxyHandler, createFileCollector } from "./proxy.mjs";
+
+const PORT = Number(process.env.COLLECTOR_PORT) || 8787;
+const CHECK = process.argv.includes("--check");
+
+const appendToFile = process.env.ANALYTICS_LOG_FILE ? createFileCollector(process.env.ANALYTICS_LOG_FILE) : null;
+const received = [];
+
+/**
+ * Log a batch with its event names
+ */
+async function collectBatch(batch) {
+  received.push(batch);
+  const names = batch.events.map((event) => event.name).join(", ");
+  console.log(`[collector] ${batch.events.length} events from ${batch.sessionId || "unknown session"}: ${names}`);
+  if (appendToFile) await appendToFile(batch);
+}
+
+const collector = createProxyHandler({ collector: collectBatch, rateLimit: { windowMs: 60000, max: 600 } });
+
+// The dev server runs on another origin, so allow cross-origin POSTs
+const server = createServer((req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": "POST",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    return res.end();
+  }
+  Promise.resolve(collector(req, res)).catch((error) => {
+    console.error("Request failed:", error);
+    if (!res.headersSent) res.writeHead(500);
+    res.end("Internal server error");
+  });
+});
+
+/**
+ * Send the same request as the http sink and confirm the batch arrived
+ */
+async function runCheck(port) {
+  const batch = {
+    sessionId: "collector-check",
+    timestamp: Date.now(),
+    events: [{ name: "game_completed", timestamp: Date.now(), sessionId: "collector-check", data: { won: true } }],
+  };
+  const response = await fetch(`http://localhost:${port}/api/analytics`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(batch),
+  });
+  const body = await response.json();
+  if (!response.ok || body.received !== 1 || received.length !== 1) {
+    throw new Error(`Unexpected collector response ${response.status}: ${JSON.stringify(body)}`);
+  }
+  console.log("[collector] check passed");
+}
+
+server.listen(CHECK ? 0 : PORT, () => {
+  const { port } = server.address();
+  if (!CHECK) {
+    console.log(`Analytics collector listening at http://localhost:${port}/api/analytics`);
+    return;
+  }
+  runCheck(port)
+    .catch((error) => {
+      console.error("[collector] check failed:", error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => server.close());
+});
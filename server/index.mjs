@@ -0,0 +1,78 @@
+/**
+ * Production server: serves the built app from dist/ and the API proxy
+ * Usage: npm run build && npm run serve
+ * Keys come from UNSPLASH_ACCESS_KEY / GEMINI_API_KEY (see server/proxy.mjs).
+ */
+
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import { extname, join, normalize, relative, resolve, isAbsolute } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createProxyHandler, getProxyOptionsFromEnv } from "./proxy.mjs";
+
+const DIST_DIR = resolve(fileURLToPath(new URL("../dist", import.meta.url)));
+const PORT = Number(process.env.PORT) || 8080;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+};
+
+/**
+ * Serve a file from dist/, falling back to index.html for app routes
+ */
+async function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    res.writeHead(400);
+    return res.end("Bad request");
+  }
+  let filePath = normalize(join(DIST_DIR, pathname));
+
+  // Reject anything outside dist/ (a plain prefix check would let dist-x/ through)
+  const relativePath = relative(DIST_DIR, filePath);
+  if (relativePath.startsWith("..") || isAbsolute(relativePath)) {
+    res.writeHead(403);
+    return res.end("Forbidden");
+  }
+
+  try {
+    if ((await stat(filePath)).isDirectory()) {
+      filePath = join(filePath, "index.html");
+    }
+  } catch {
+    filePath = join(DIST_DIR, "index.html");
+  }
+
+  try {
+    const content = await readFile(filePath);
+    res.writeHead(200, { "Content-Type": MIME_TYPES[extname(filePath)] || "application/octet-stream" });
+    res.end(content);
+  } catch {
+    res.writeHead(404);
+    res.end("Not found (did you run npm run build?)");
+  }
+}
+
+const proxy = createProxyHandler(getProxyOptionsFromEnv());
+
+createServer((req, res) => {
+  Promise.resolve(proxy(req, res, () => serveStatic(req, res))).catch((error) => {
+    console.error("Request failed:", error);
+    if (!res.headersSent) res.writeHead(500);
+    res.end("Internal server error");
+  });
+}).listen(PORT, () => {
+  console.log(`PixelPeek running at http://localhost:${PORT}`);
+});
@@ -0,0 +1,275 @@
+/**
+ * API Proxy: keeps the Unsplash and Gemini keys on the server
+ * The browser calls /api/unsplash/... and /api/gemini/...; the proxy adds the
+ * key, forwards the request upstream and applies a per-client rate limit.
+ * It also hosts /api/analytics, a collector for the game's http analytics sink.
+ * Used as Vite dev/preview middleware (vite.config.js) and by server/index.mjs.
+ */
+
+import { appendFile } from "node:fs/promises";
+
+const UPSTREAMS = {
+  unsplash: {
+    baseUrl: "https://api.unsplash.com",
+    // Only these paths are forwarded
+    paths: [/^\/photos\/random$/],
+    methods: ["GET"],
+    authHeaders: (key) => ({ Authorization: `Client-ID ${key}` }),
+    // Never forward a key sent by the client
+    strippedParams: ["client_id"],
+  },
+  gemini: {
+    baseUrl: "https://generativelanguage.googleapis.com",
+    paths: [/^\/v1beta\/models\/[\w.-]+:generateContent$/],
+    methods: ["POST"],
+    authHeaders: (key) => ({ "x-goog-api-key": key }),
+    strippedParams: ["key"],
+  },
+};
+
+const MAX_BODY_BYTES = 100 * 1024;
+
+/**
+ * Fixed-window request counter per client and upstream
+ * @returns {(clientId: string) => { allowed: boolean, retryAfter: number }}
+ */
+export function createRateLimiter({ windowMs, max }, now = Date.now) {
+  const windows = new Map();
+
+  return (clientId) => {
+    const time = now();
+    let entry = windows.get(clientId);
+
+    if (!entry || time - entry.start >= windowMs) {
+      entry = { start: time, count: 0 };
+      windows.set(clientId, entry);
+
+      // Drop expired windows so the map does not grow without bound
+      if (windows.size > 10000) {
+        for (const [id, window] of windows) {
+          if (time - window.start >= windowMs) windows.delete(id);
+        }
+      }
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      return { allowed: false, retryAfter: Math.ceil((entry.start + windowMs - time) / 1000) };
+    }
+    return { allowed: true, retryAfter: 0 };
+  };
+}
+
+/**
+ * Send a JSON body (errors use Gemini's { error: { status, message } } shape)
+ */
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, code, message, headers) {
+  sendJSON(res, status, { error: { code: status, status: code, message } }, headers);
+}
+
+/**
+ * Read the request body, rejecting anything over MAX_BODY_BYTES
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error("Request body too large"), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Collector that logs a line per analytics batch
+ */
+export async function logCollector(batch) {
+  console.log(`[analytics] ${batch.events.length} events from ${batch.sessionId || "unknown session"}`);
+}
+
+/**
+ * Collector that appends each batch to a newline-delimited JSON file
+ */
+export function createFileCollector(file) {
+  return async (batch) => {
+    await appendFile(file, `${JSON.stringify({ ...batch, receivedAt: Date.now() })}\n`);
+  };
+}
+
+/**
+ * Client identity for rate limiting
+ */
+function getClientId(req, trustProxy) {
+  const forwarded = trustProxy && req.headers["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return req.socket?.remoteAddress || "unknown";
+}
+
+/**
+ * Create a connect-style handler: (req, res, next) => void
+ * Requests outside `basePath` are passed to `next`.
+ * @param {Object} options
+ * @param {string} [options.unsplashKey] - Unsplash access key
+ * @param {string} [options.geminiKey] - Gemini API key
+ * @param {string} [options.basePath] - URL prefix handled by the proxy
+ * @param {Object} [options.rateLimit] - { windowMs, max } per client and upstream
+ * @param {boolean} [options.trustProxy] - use X-Forwarded-For as the client id
+ * @param {Object} [options.upstreamUrls] - override upstream base URLs ({ unsplash, gemini })
+ * @param {Function} [options.fetch] - upstream fetch (stub it in tests)
+ * @param {Function} [options.collector] - async (batch, req) => void for POST /analytics batches
+ */
+export function createProxyHandler(options = {}) {
+  const {
+    unsplashKey,
+    geminiKey,
+    basePath = "/api",
+    rateLimit = { windowMs: 60000, max: 30 },
+    trustProxy = false,
+    upstreamUrls = {},
+    fetch: upstreamFetch = globalThis.fetch,
+    collector,
+  } = options;
+
+  const keys = { unsplash: unsplashKey, gemini: geminiKey };
+  const limiters = {
+    unsplash: createRateLimiter(rateLimit),
+    gemini: createRateLimiter(rateLimit),
+    analytics: createRateLimiter(rateLimit),
+  };
+
+  async function collectAnalytics(req, res) {
+    if (req.method !== "POST") {
+      return sendError(res, 405, "METHOD_NOT_ALLOWED", `${req.method} not allowed`, { Allow: "POST" });
+    }
+    if (!collector) {
+      return sendError(res, 503, "NOT_CONFIGURED", "Analytics collector not configured on the proxy");
+    }
+
+    const limit = limiters.analytics(getClientId(req, trustProxy));
+    if (!limit.allowed) {
+      return sendError(res, 429, "RATE_LIMITED", "Too many requests, slow down", {
+        "Retry-After": String(limit.retryAfter),
+      });
+    }
+
+    try {
+      // Beacons may arrive as text/plain, so the content type isn't checked
+      const batch = JSON.parse((await readBody(req)).toString("utf8"));
+      if (!Array.isArray(batch?.events)) {
+        return sendError(res, 400, "INVALID_ARGUMENT", "Expected a batch with an events array");
+      }
+      await collector(batch, req);
+      sendJSON(res, 200, { received: batch.events.length });
+    } catch (error) {
+      if (error.status === 413) {
+        return sendError(res, 413, "PAYLOAD_TOO_LARGE", error.message);
+      }
+      if (error instanceof SyntaxError) {
+        return sendError(res, 400, "INVALID_ARGUMENT", "Batch is not valid JSON");
+      }
+      console.error("Analytics collector error:", error.message);
+      sendError(res, 500, "INTERNAL", "Failed to store analytics batch");
+    }
+  }
+
+  return async function proxyHandler(req, res, next = () => sendError(res, 404, "NOT_FOUND", "Not found")) {
+    const url = new URL(req.url, "http://localhost");
+    if (!url.pathname.startsWith(`${basePath}/`)) {
+      return next();
+    }
+
+    const [, name, ...rest] = url.pathname.slice(basePath.length).split("/");
+    const path = `/${rest.join("/")}`;
+
+    // Lets the client check which upstreams have keys
+    if (name === "health") {
+      return sendJSON(res, 200, {
+        unsplash: Boolean(unsplashKey),
+        gemini: Boolean(geminiKey),
+        analytics: Boolean(collector),
+      });
+    }
+
+    // Analytics collector: batches from fetch() or navigator.sendBeacon()
+    if (name === "analytics" && path === "/") {
+      return collectAnalytics(req, res);
+    }
+
+    const upstream = UPSTREAMS[name];
+    if (!upstream || !upstream.paths.some((pattern) => pattern.test(path))) {
+      return sendError(res, 404, "NOT_FOUND", `Unknown proxy route: ${url.pathname}`);
+    }
+    if (!upstream.methods.includes(req.method)) {
+      return sendError(res, 405, "METHOD_NOT_ALLOWED", `${req.method} not allowed`, {
+        Allow: upstream.methods.join(", "),
+      });
+    }
+    if (!keys[name]) {
+      return sendError(res, 503, "NOT_CONFIGURED", `${name} API key not configured on the proxy`);
+    }
+
+    const limit = limiters[name](getClientId(req, trustProxy));
+    if (!limit.allowed) {
+      return sendError(res, 429, "RATE_LIMITED", "Too many requests, slow down", {
+        "Retry-After": String(limit.retryAfter),
+      });
+    }
+
+    try {
+      const target = new URL(`${upstreamUrls[name] || upstream.baseUrl}${path}`);
+      url.searchParams.forEach((value, param) => {
+        if (!upstream.strippedParams.includes(param)) target.searchParams.append(param, value);
+      });
+
+      const body = req.method === "POST" ? await readBody(req) : undefined;
+      const response = await upstreamFetch(target.toString(), {
+        method: req.method,
+        headers: {
+          ...(body && { "Content-Type": "application/json" }),
+          ...upstream.authHeaders(keys[name]),
+        },
+        body,
+      });
+
+      const headers = { "Content-Type": response.headers.get("Content-Type") || "application/json" };
+      const retryAfter = response.headers.get("Retry-After");
+      if (retryAfter) headers["Retry-After"] = retryAfter;
+
+      res.writeHead(response.status, headers);
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (error) {
+      if (error.status === 413) {
+        return sendError(res, 413, "PAYLOAD_TOO_LARGE", error.message);
+      }
+      console.error(`Proxy error (${name}):`, error.message);
+      sendError(res, 502, "BAD_GATEWAY", `Upstream request failed: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Handler options from environment variables
+ * Keys are read without the VITE_ prefix so Vite never bundles them.
+ */
+export function getProxyOptionsFromEnv(env = process.env) {
+  return {
+    unsplashKey: env.UNSPLASH_ACCESS_KEY,
+    geminiKey: env.GEMINI_API_KEY,
+    rateLimit: {
+      windowMs: Number(env.PROXY_RATE_WINDOW_MS) || 60000,
+      max: Number(env.PROXY_RATE_LIMIT) || 30,
+    },
+    trustProxy: env.PROXY_TRUST_FORWARDED === "true",
+    collector: env.ANALYTICS_LOG_FILE ? createFileCollector(env.ANALYTICS_LOG_FILE) : logCollector,
+  };
+}
+
+export default createProxyHandler;
@@ -1,40 +1,92 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo, Suspense } from "react";
 import { motion } from "framer-motion";
-import { generateHintFromAI } from "./lib/gemini.js";
-import { validateAnswerAdvanced, generateContextualHint } from "./lib/advancedAnswerValidator.js";
-import { GameProvider, useGame, GAME_ACTIONS } from "./context/GameContext";
+import { validateAnswerBatch, buildAcceptedAnswers } from "./lib/advancedAnswerValidator.js";
+import { getHint } from "./lib/hintService";
+import { GameProvider, useGame, GAME_ACTIONS, GAME_MODES, DIFFICULTY_LEVELS, REVEAL_SETTINGS, getDifficultyPreset } from "./context/GameContext";
+import { SessionProvider, useSession } from "./context/SessionContext";
+import { gameConfig } from "./config/gameConfig";
 import { 
   useLocalStorage, 
   useAsync, 
   useDebounce, 
   usePerformanceMetrics,
   useOnMount,
-  useWindowSize 
+  useWindowSize,
+  useInterval,
+  useOnlineStatus
 } from "./hooks/useCustomHooks";
 import { 
   ScoreDisplay, 
   GuessForm, 
   AttemptsCounter, 
-  AnswerReveal 
+  AnswerReveal,
+  OptionSelector,
+  DailyStatus,
+  TimerDisplay,
+  SessionDisplay,
+  PackPicker,
+  OfflineDownload,
+  OfflineBanner,
+  AchievementToast,
+  ProfileSwitcher,
+  GuessHistory
 } from "./components/GameComponents";
 
 // Lazy-load heavier UI parts to reduce initial bundle and improve TTI.
 const GameImageContainer = React.lazy(() => import("./components/HeavyComponents").then(mod => ({ default: mod.GameImageContainer })));
 const HintPanel = React.lazy(() => import("./components/HeavyComponents").then(mod => ({ default: mod.HintPanel })));
+const StatsDashboard = React.lazy(() => import("./components/StatsDashboard"));
+const AchievementGallery = React.lazy(() => import("./components/AchievementGallery"));
+const LeaderboardScreen = React.lazy(() => import("./components/LeaderboardScreen"));
 import ErrorBoundary from "./components/ErrorBoundary";
-import { fetchImageFromUnsplash, preloadImages, fetchWithRetry } from "./lib/apiService";
+import { fetchWithRetry } from "./lib/apiService";
+import { getImageProvider, ImageProviderError } from "./lib/imageProviders";
+import { imagePool } from "./lib/imagePool";
+import { recordRound } from "./lib/gameHistory";
+import { achievementEngine } from "./lib/achievements";
+import { submitScore, getBestScore, getBoardKey, parseBoardKey } from "./lib/leaderboard";
+import { getProfiles, getActiveProfile, createProfile, switchProfile, deleteProfile, subscribeProfiles } from "./lib/profileStore";
+import { isOnline, getPendingSyncCount, subscribeSyncQueue } from "./lib/offline";
+import { listPacks, importPack, getPackProvider } from "./lib/packManager";
+import { addUserAlias } from "./lib/synonymDictionary";
+import { getGuessProximity } from "./lib/proximity";
+import { aiScheduler } from "./lib/aiScheduler";
+import { arrayUtils } from "./lib/utils";
 import { initializeCache } from "./lib/cacheManager";
 import { performanceLogger, analyticsService, measurePerformanceAsync } from "./lib/logger";
+import { getDailyRound, getDailyProgress, recordDailyResult, markDailyStarted, clearDailyStarted } from "./lib/dailyChallenge";
+import { pickRevealMode, getRevealProgress } from "./lib/revealRenderers";
 
-const CATEGORIES = [
-  "nature", "animals", "technology", "food", "architecture",
-  "people", "art", "sports", "travel", "abstract", "space", "cars"
+const PRELOAD_COUNT = gameConfig.performance.imagePreloadCount;
+const ACHIEVEMENT_TOAST_MS = 4000;
+
+const MODE_OPTIONS = [
+  { value: GAME_MODES.CLASSIC, label: "CLASSIC" },
+  { value: GAME_MODES.DAILY, label: "DAILY" },
+  { value: GAME_MODES.BLITZ, label: "BLITZ" },
 ];
 
-const MAX_ATTEMPTS = 5;
-const BLUR_DECREMENT = 4;
-const INITIAL_BLUR = 20;
-const SCORE_DECREMENT = 15;
+const BLITZ = gameConfig.modes.blitz;
+
+/**
+ * Currently applied theme (set on <html> by ThemeManager)
+ */
+function getActiveTheme() {
+  return document.documentElement.getAttribute("data-theme");
+}
+
+const MAX_ATTEMPTS = gameConfig.mechanics.maxAttempts;
+const BLUR_DECREMENT = gameConfig.mechanics.blurDecrement;
+
+/**
+ * Whether a new hint is due after the given number of wrong attempts
+ */
+function isHintDue(hintFrequency, attempts) {
+  if (hintFrequency === "every_2_attempts") {
+    return attempts % 2 === 0;
+  }
+  return true;
+}
 
 /**
  * Starfield Component - Memoized canvas animation
@@ -132,8 +184,46 @@ const Starfield = React.memo(() => {
  */
 function GameBoard() {
   const { state, dispatch } = useGame();
+  const { session, multiplier, recordWin, recordMiss, endSession, resetSession } = useSession();
   const windowSize = useWindowSize();
   const performanceMetrics = usePerformanceMetrics("GameBoard");
+  const [dailyProgress, setDailyProgress] = useState(() => getDailyProgress());
+  const [packs, setPacks] = useState([]);
+  const [offlineProgress, setOfflineProgress] = useState(null);
+  const [showStats, setShowStats] = useState(false);
+  const [leaderboardKey, setLeaderboardKey] = useState(null);
+  // Latest leaderboard submission: { roundId, entry, placements }
+  const [lastRun, setLastRun] = useState(null);
+  const online = useOnlineStatus();
+  const [pendingSync, setPendingSync] = useState(() => getPendingSyncCount());
+
+  // Analytics batches waiting for the connection to return
+  useEffect(() => subscribeSyncQueue(setPendingSync), []);
+  const [aiStatus, setAIStatus] = useState(() => aiScheduler.getStatus());
+
+  // AI rate-limit state for the hint panel ("AI cooling down")
+  useEffect(() => aiScheduler.subscribe(setAIStatus), []);
+
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [unlockedToasts, setUnlockedToasts] = useState([]);
+  const [badgeCount, setBadgeCount] = useState(() => achievementEngine.getAchievements().filter((a) => a.unlocked).length);
+
+  // Evaluate achievements on analytics events and queue a toast per unlock
+  useEffect(() => {
+    achievementEngine.start();
+    return achievementEngine.subscribe((achievement) => {
+      setUnlockedToasts((toasts) => [...toasts, achievement]);
+      setBadgeCount((count) => count + 1);
+    });
+  }, []);
+
+  const dismissAchievementToast = useCallback(() => setUnlockedToasts((toasts) => toasts.slice(1)), []);
+
+  useEffect(() => {
+    if (unlockedToasts.length === 0) return undefined;
+    const timer = setTimeout(dismissAchievementToast, ACHIEVEMENT_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [unlockedToasts, dismissAchievementToast]);
 
   // Normalize and compare strings - REPLACED WITH ADVANCED VALIDATOR
   const normalize = useCallback((t) => 
@@ -147,61 +237,203 @@ function GameBoard() {
     return { guess, label, description };
   }, []);
 
+  // One AbortController per round: starting a round cancels the previous round's AI requests
+  const roundControllerRef = useRef(null);
+
+  const startRoundRequests = useCallback(() => {
+    roundControllerRef.current?.abort();
+    roundControllerRef.current = new AbortController();
+    return roundControllerRef.current.signal;
+  }, []);
+
+  useEffect(() => () => roundControllerRef.current?.abort(), []);
+
+  // Generate the level-0 hint for a freshly loaded round, then end loading
+  // Once `signal` is aborted the newer round owns the hint and loading state
+  const loadFirstHint = useCallback(async (description, answer, round, signal) => {
+    try {
+      const firstHint = await getHint({ level: 0, answer, description, round, signal });
+      if (signal?.aborted) return;
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> " + firstHint.text });
+    } catch (e) {
+      if (signal?.aborted) return;
+      console.error("Hint generation failed:", e);
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> ERROR: ${e.message}` });
+    }
+    // Set loading to false AFTER hint attempt (success or failure)
+    dispatch({ type: GAME_ACTIONS.SET_LOADING, payload: false });
+  }, [dispatch]);
+
+  // Load today's shared daily round (one attempt per day)
+  const loadDailyRound = useCallback(async () => {
+    const signal = startRoundRequests();
+    dispatch({ type: GAME_ACTIONS.RESET_GAME });
+
+    dispatch({
+      type: GAME_ACTIONS.SET_ROUND,
+      payload: { revealMode: pickRevealMode(state.revealSetting, getActiveTheme()) },
+    });
+
+    const dailyRound = getDailyRound();
+    let progress = getDailyProgress(dailyRound.dayKey);
+    if (progress.abandoned) {
+      // Reloaded mid-round: today's attempt is used up
+      progress = recordDailyResult(dailyRound.dayKey, false, 0);
+    }
+    const acceptedAnswers = buildAcceptedAnswers(dailyRound.answer, dailyRound.tags);
+    setDailyProgress(progress);
+
+    dispatch({ type: GAME_ACTIONS.SET_IMAGE, payload: dailyRound.imageUrl });
+    dispatch({ type: GAME_ACTIONS.SET_DESC, payload: dailyRound.description });
+    dispatch({ type: GAME_ACTIONS.SET_LABEL, payload: dailyRound.answer });
+    dispatch({
+      type: GAME_ACTIONS.SET_ROUND,
+      payload: {
+        id: dailyRound.id,
+        category: dailyRound.answer,
+        source: "daily",
+        dayKey: dailyRound.dayKey,
+        acceptedAnswers,
+        startedAt: Date.now(),
+      },
+    });
+
+    if (progress.todayResult) {
+      // Already played today - show the finished round
+      dispatch({ type: GAME_ACTIONS.REVEAL_ANSWER });
+      dispatch({ type: GAME_ACTIONS.SET_SCORE, payload: progress.todayResult.score });
+      dispatch({
+        type: GAME_ACTIONS.SET_HINT,
+        payload: `> DAILY ${progress.todayResult.won ? "SOLVED" : "FAILED"}. Come back tomorrow! Streak: ${progress.streak}`,
+      });
+      dispatch({ type: GAME_ACTIONS.SET_LOADING, payload: false });
+      return;
+    }
+
+    markDailyStarted(dailyRound.dayKey);
+    dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> Scanning image..." });
+    await loadFirstHint(dailyRound.description, dailyRound.answer, {
+      category: dailyRound.answer,
+      tags: dailyRound.tags,
+      acceptedAnswers,
+    }, signal);
+  }, [dispatch, loadFirstHint, startRoundRequests, state.revealSetting]);
+
+  /**
+   * Resolve the provider for a round: the active pack, or the configured default
+   * A pack that no longer exists is cleared from the selection
+   */
+  const resolveProvider = useCallback(async (packId) => {
+    if (!packId) return getImageProvider();
+
+    const packProvider = await getPackProvider(packId);
+    if (packProvider) return packProvider;
+
+    dispatch({ type: GAME_ACTIONS.SET_ACTIVE_PACK, payload: null });
+    return getImageProvider();
+  }, [dispatch]);
+
   // Load new image with caching and preloading
-  const loadNewImage = useCallback(async () => {
+  const loadNewImage = useCallback(async (mode = GAME_MODES.CLASSIC, packId = state.activePackId) => {
+    if (mode === GAME_MODES.DAILY) {
+      return loadDailyRound();
+    }
+
+    const signal = startRoundRequests();
     try {
       dispatch({ type: GAME_ACTIONS.RESET_GAME });
+      dispatch({
+        type: GAME_ACTIONS.SET_ROUND,
+        payload: { revealMode: pickRevealMode(state.revealSetting, getActiveTheme()) },
+      });
 
       performanceLogger.startMeasure("loadImage");
 
-      const category = CATEGORIES[Math.floor(Math.random() * CATEGORIES.length)];
+      const provider = await resolveProvider(packId);
+      const allCategories = await provider.getCategories();
+      // Offline: only categories with rounds saved on this device
+      const categories = !isOnline() && provider.getOfflineCategories
+        ? await provider.getOfflineCategories(allCategories)
+        : allCategories;
+      if (allCategories.length === 0) {
+        throw new ImageProviderError(`No rounds available from the "${provider.name}" image source`);
+      }
+      if (categories.length === 0) {
+        throw new Error("No rounds saved for offline play");
+      }
+      const category = arrayUtils.random(categories);
 
       // Fetch with retry logic
       const imageData = await fetchWithRetry(
-        () => fetchImageFromUnsplash(category),
+        () => provider.fetchRandom(category),
         3
       );
+      if (signal.aborted) return;
 
       const loadTime = performanceLogger.endMeasure("loadImage");
-      analyticsService.trackImageLoad(loadTime, "unsplash");
+      analyticsService.trackImageLoad(loadTime, provider.name);
+
+      // The label stays the primary answer; descriptive tags are accepted too
+      const acceptedAnswers = buildAcceptedAnswers(imageData.answer, imageData.tags);
 
       dispatch({ type: GAME_ACTIONS.SET_IMAGE, payload: imageData.imageUrl });
       dispatch({ type: GAME_ACTIONS.SET_DESC, payload: imageData.description });
-      // Use category as the correct answer (strict validation)
-      dispatch({ type: GAME_ACTIONS.SET_LABEL, payload: category });
+      // The provider decides the correct answer (Unsplash: the search category)
+      dispatch({ type: GAME_ACTIONS.SET_LABEL, payload: imageData.answer });
+      dispatch({
+        type: GAME_ACTIONS.SET_ROUND,
+        payload: {
+          id: imageData.id,
+          category,
+          source: provider.name,
+          tags: imageData.tags,
+          attribution: imageData.attribution,
+          aliases: imageData.aliases || [],
+          hints: imageData.hints || [],
+          acceptedAnswers,
+          startedAt: Date.now(),
+        },
+      });
       dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> Scanning image..." });
 
       // Generate first hint asynchronously - MUST complete before setting loading to false
-      try {
-        const firstHint = await generateHintFromAI(imageData.description, 0, [], category);
-        dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> " + firstHint });
-      } catch (e) {
-        console.error("Hint generation failed:", e);
-        dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> ERROR: ${e.message}` });
-      } finally {
-        // Set loading to false AFTER hint attempt (success or failure)
-        dispatch({ type: GAME_ACTIONS.SET_LOADING, payload: false });
-        // Preload next batch of images in background
-        preloadImages(CATEGORIES, 3).catch((err) => console.warn("Preload error:", err));
+      await loadFirstHint(imageData.description, imageData.answer, { ...imageData, category, acceptedAnswers }, signal);
+
+      // Preload next batch of images in background
+      if (isOnline()) {
+        provider.preload(categories, PRELOAD_COUNT).catch((err) => console.warn("Preload error:", err));
       }
     } catch (err) {
+      if (signal.aborted) return;
       console.error("Load image error:", err);
-      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> ERROR: Unable to load image` });
+      let message = "> ERROR: Unable to load image";
+      if (err instanceof ImageProviderError) {
+        message = `> ERROR: ${err.message}`;
+      } else if (!isOnline()) {
+        message = "> OFFLINE: No saved rounds left";
+      }
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: message });
       dispatch({ type: GAME_ACTIONS.SET_LOADING, payload: false });
     }
-  }, [dispatch]);
+  }, [dispatch, loadFirstHint, loadDailyRound, startRoundRequests, resolveProvider, state.revealSetting, state.activePackId]);
 
   // Load image on component mount
   useOnMount(() => {
-    initializeCache().then(() => loadNewImage());
+    initializeCache().then(() => {
+      listPacks().then(setPacks).catch((err) => console.warn("Failed to list packs:", err));
+      loadNewImage(state.mode);
+    });
   });
 
   // Preload next images when answer revealed to smooth transition
   useEffect(() => {
-    if (state.revealed) {
-      preloadImages(CATEGORIES, 3).catch((err) => console.warn("Preload error:", err));
+    if (state.revealed && !state.activePackId && online) {
+      const provider = getImageProvider();
+      provider.getCategories()
+        .then((categories) => provider.preload(categories, PRELOAD_COUNT))
+        .catch((err) => console.warn("Preload error:", err));
     }
-  }, [state.revealed]);
+  }, [state.revealed, state.activePackId, online]);
 
   // Initialize theme switcher button in header
   useEffect(() => {
@@ -223,42 +455,114 @@ function GameBoard() {
     }).catch((err) => console.warn('Failed to load theme UI:', err));
   }, []);
 
+  // Store a finished round in the game history (stats dashboard)
+  const saveRoundHistory = useCallback((outcome) => {
+    recordRound({
+      imageId: state.round.id,
+      category: state.round.category,
+      answer: state.label,
+      source: state.round.source,
+      mode: state.mode,
+      difficulty: state.difficulty,
+      hintsUsed: state.hintLevel,
+      duration: state.round.startedAt ? Date.now() - state.round.startedAt : null,
+      ...outcome,
+    });
+  }, [state.round, state.label, state.mode, state.difficulty, state.hintLevel]);
+
+  // Put a round's (or blitz run's) score on the leaderboards
+  const recordScore = useCallback((run) => {
+    setLastRun({ roundId: state.round.id, ...submitScore({ mode: state.mode, difficulty: state.difficulty, ...run }) });
+  }, [state.round.id, state.mode, state.difficulty]);
+
   // Handle guess submission with advanced answer validation
   const handleGuess = useCallback(async (e) => {
     e?.preventDefault?.();
     
-    if (state.revealed || state.loading) return;
+    if (state.revealed || state.loading || state.validating) return;
 
-    // Show processing state
+    // Show processing state (also pauses the blitz clock while AI calls run)
+    dispatch({ type: GAME_ACTIONS.SET_VALIDATING, payload: true });
     dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> Validating answer..." });
+    const isBlitz = state.mode === GAME_MODES.BLITZ;
+    // Skipping or leaving the round aborts this; its results must not reach the next round
+    const signal = roundControllerRef.current?.signal;
+    let advanceRound = false;
 
     try {
-      // Use advanced validator with semantic matching
-      const validation = await validateAnswerAdvanced(
+      // Check the guess against the primary answer and every accepted tag
+      const validation = await validateAnswerBatch(
         state.guess,
-        state.label,
-        state.desc
+        state.round.acceptedAnswers || [state.label],
+        state.desc,
+        { aliases: state.round.aliases, category: state.round.category, signal }
       );
+      if (signal?.aborted) return;
+
+      // How close a wrong guess was ("ice cold" ... "very hot")
+      const proximity = validation.isValid
+        ? null
+        : getGuessProximity(validation, state.guess, state.round, state.desc);
+
+      analyticsService.trackGuessAttempt(state.guess, validation.isValid, proximity);
 
-      analyticsService.trackGuessAttempt(state.guess, validation.isValid);
+      const preset = getDifficultyPreset(state.difficulty);
 
       if (validation.isValid) {
         // CORRECT ANSWER
-        analyticsService.trackGameScore(state.score, true, state.hintLevel, state.label);
+        // Blitz rounds are worth more the more time is left on the clock
+        const timeBonus = isBlitz
+          ? Math.round((state.timer.remaining / 1000) * BLITZ.timeBonusPerSecond)
+          : 0;
+        const points = recordWin(state.score + timeBonus);
+        saveRoundHistory({
+          won: true,
+          score: points,
+          attempts: state.attempts + 1,
+          guesses: [...state.guessHistory, { guess: state.guess, proximity: null }],
+        });
+
+        // Blitz runs go on the board as a whole when the clock runs out
+        if (!isBlitz && points > 0) {
+          recordScore({
+            category: state.round.category,
+            score: points,
+            details: { answer: state.label, attempts: state.attempts + 1, hintsUsed: state.hintLevel, streak: session.streak + 1 },
+          });
+        }
+
+        analyticsService.trackGameScore(state.score, true, state.hintLevel, state.label, state.difficulty, {
+          mode: state.mode,
+          category: state.round.category,
+          attempts: state.attempts + 1,
+          points,
+          multiplier,
+          streak: session.streak + 1,
+        });
 
         dispatch({ type: GAME_ACTIONS.REVEAL_ANSWER });
+        dispatch({ type: GAME_ACTIONS.SET_ROUND, payload: { won: true, matchedAnswer: validation.matchedAnswer } });
+
+        let dailySuffix = "";
+        if (state.mode === GAME_MODES.DAILY) {
+          const progress = recordDailyResult(state.round.dayKey, true, points);
+          setDailyProgress(progress);
+          dailySuffix = ` - Daily streak: ${progress.streak}`;
+          endSession();
+        }
+
+        advanceRound = isBlitz;
+
+        const comboSuffix = multiplier > 1 ? ` (x${multiplier})` : "";
         dispatch({ 
           type: GAME_ACTIONS.SET_HINT, 
-          payload: `> CORRECT! (${validation.strategy}) - Score: ${Math.round(state.score)}` 
+          payload: `> CORRECT! (${validation.strategy}) - +${points} pts${comboSuffix}${dailySuffix}` 
         });
 
-        if (state.score > state.highScore) {
-          dispatch({ type: GAME_ACTIONS.SET_HIGH_SCORE, payload: state.score });
-        }
-
         console.log("Answer validation result:", {
           guess: state.guess,
           answer: state.label,
+          matchedAnswer: validation.matchedAnswer,
           confidence: validation.confidence,
           strategy: validation.strategy,
           score: validation.score,
@@ -267,7 +571,9 @@ function GameBoard() {
         // INCORRECT ANSWER
         const newAttempts = state.attempts + 1;
         dispatch({ type: GAME_ACTIONS.INCREMENT_ATTEMPTS });
-        dispatch({ type: GAME_ACTIONS.DECREMENT_SCORE, payload: SCORE_DECREMENT });
+        dispatch({ type: GAME_ACTIONS.SET_ROUND, payload: { lastMissedGuess: state.guess } });
+        dispatch({ type: GAME_ACTIONS.ADD_GUESS, payload: { guess: state.guess, proximity } });
+        dispatch({ type: GAME_ACTIONS.DECREMENT_SCORE, payload: preset.scoreDecrement });
 
         // Progressive blur reveal
         const newBlur = Math.max(0, state.blur - BLUR_DECREMENT);
@@ -275,46 +581,56 @@ function GameBoard() {
 
         if (newAttempts >= MAX_ATTEMPTS) {
           // GAME OVER
-          analyticsService.trackGameScore(0, false, state.hintLevel, state.label);
+          saveRoundHistory({
+            won: false,
+            score: 0,
+            attempts: newAttempts,
+            guesses: [...state.guessHistory, { guess: state.guess, proximity }],
+          });
+          analyticsService.trackGameScore(0, false, state.hintLevel, state.label, state.difficulty, {
+            mode: state.mode,
+            category: state.round.category,
+            attempts: newAttempts,
+            points: 0,
+            streak: 0,
+          });
           dispatch({ type: GAME_ACTIONS.REVEAL_ANSWER });
           dispatch({ type: GAME_ACTIONS.SET_SCORE, payload: 0 });
+          if (state.mode === GAME_MODES.DAILY) {
+            setDailyProgress(recordDailyResult(state.round.dayKey, false, 0));
+          }
+
+          // Game over breaks the streak; outside blitz it also ends the run
+          recordMiss();
+          if (!isBlitz) {
+            endSession();
+          }
           dispatch({ 
             type: GAME_ACTIONS.SET_HINT, 
-            payload: `> GAME OVER (5 attempts). Answer: ${state.label.toUpperCase()}` 
+            payload: `> GAME OVER (${MAX_ATTEMPTS} attempts). Answer: ${state.label.toUpperCase()}` 
           });
+          advanceRound = isBlitz;
+        } else if (!isHintDue(preset.hintFrequency, newAttempts)) {
+          // Harder presets only reveal a new hint every other wrong guess
+          dispatch({ type: GAME_ACTIONS.SET_HINT, payload: state.hint });
         } else {
           // GENERATE CONTEXTUAL HINT based on incorrect guess
           dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> Analyzing your guess..." });
           const lvl = state.hintLevel + 1;
 
-          try {
-            // Try contextual hint based on their wrong guess
-            let nextHint = await generateContextualHint(
-              state.guess,
-              state.label,
-              state.desc,
-              lvl
-            );
-
-            dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> " + nextHint });
-            analyticsService.trackHintUsed(lvl, state.label);
-          } catch (contextualErr) {
-            // Contextual hint failed, try standard hint instead
-            console.warn("Contextual hint failed:", contextualErr.message);
-            try {
-              const nextHint = await generateHintFromAI(
-                state.desc,
-                lvl,
-                [...state.previousHints, state.hint],
-                state.label
-              );
-              dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> " + nextHint });
-              analyticsService.trackHintUsed(lvl, state.label);
-            } catch (hintErr) {
-              console.error("Hint generation error:", hintErr);
-              dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> ERROR: ${hintErr.message}` });
-            }
-          }
+          // Pack hint -> AI (contextual, then standard) -> local rule-based hint
+          const nextHint = await getHint({
+            level: lvl,
+            answer: state.label,
+            description: state.desc,
+            round: state.round,
+            guess: state.guess,
+            previousHints: [...state.previousHints, state.hint],
+            signal,
+          });
+          if (signal?.aborted) return;
+          dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> " + nextHint.text });
+          analyticsService.trackHintUsed(lvl, state.label, nextHint.source);
 
           dispatch({ type: GAME_ACTIONS.SET_HINT_LEVEL, payload: lvl });
           dispatch({ type: GAME_ACTIONS.ADD_PREVIOUS_HINT, payload: state.hint });
@@ -330,36 +646,275 @@ function GameBoard() {
         });
       }
     } catch (validationErr) {
+      if (signal?.aborted) return;
       console.error("Answer validation error:", validationErr);
       // Fallback to simple matching on error
       dispatch({ type: GAME_ACTIONS.SET_HINT, payload: "> Validation error, try again..." });
     }
 
     dispatch({ type: GAME_ACTIONS.SET_GUESS, payload: "" });
-  }, [state, dispatch]);
+    dispatch({ type: GAME_ACTIONS.SET_VALIDATING, payload: false });
+
+    // Blitz keeps moving: go straight to the next round
+    if (advanceRound) {
+      loadNewImage(GAME_MODES.BLITZ);
+    }
+  }, [state, dispatch, loadNewImage, session.streak, multiplier, recordWin, recordMiss, endSession, saveRoundHistory, recordScore]);
+
+  // Blitz clock: only runs while the player can actually play
+  const blitzRunning =
+    state.mode === GAME_MODES.BLITZ &&
+    !state.blitz.finished &&
+    !state.loading &&
+    !state.validating &&
+    !state.revealed;
+
+  useInterval(() => {
+    dispatch({ type: GAME_ACTIONS.TICK_TIMER, payload: BLITZ.tickInterval });
+  }, blitzRunning ? BLITZ.tickInterval : null);
+
+  // End the blitz run when the clock hits zero
+  useEffect(() => {
+    if (state.mode !== GAME_MODES.BLITZ || state.blitz.finished || state.timer.remaining > 0) return;
+
+    const { wins, total, bestStreak } = session;
+    // The round on screen when time ran out counts as lost
+    if (!state.revealed && state.round.id) {
+      saveRoundHistory({ won: false, score: 0, attempts: state.attempts, guesses: state.guessHistory });
+    }
+    dispatch({ type: GAME_ACTIONS.END_BLITZ });
+    dispatch({ type: GAME_ACTIONS.REVEAL_ANSWER });
+    dispatch({
+      type: GAME_ACTIONS.SET_HINT,
+      payload: `> TIME UP! Solved ${wins} rounds - Total: ${total}. Last answer: ${state.label.toUpperCase()}`,
+    });
+    analyticsService.trackEvent("blitz_completed", { solved: wins, total, best_streak: bestStreak, difficulty: state.difficulty });
+    if (total > 0) {
+      recordScore({ score: total, details: { solved: wins, rounds: session.rounds, bestStreak } });
+    }
+    endSession();
+  }, [state.mode, state.blitz, state.timer.remaining, state.label, state.difficulty, state.revealed, state.round.id, state.attempts, state.guessHistory, session, endSession, saveRoundHistory, recordScore, dispatch]);
 
   // Memoized handlers
   const handleGuessChange = useCallback((value) => {
     dispatch({ type: GAME_ACTIONS.SET_GUESS, payload: value });
   }, [dispatch]);
 
+  // Skipping an unsolved round breaks the streak (the session's and the streak achievement's)
   const handleSkip = useCallback(() => {
-    loadNewImage();
-  }, [loadNewImage]);
+    if (!state.revealed) {
+      recordMiss();
+      if (!state.loading && state.round.id) {
+        saveRoundHistory({ won: false, skipped: true, score: 0, attempts: state.attempts, guesses: state.guessHistory });
+        analyticsService.trackGameScore(0, false, state.hintLevel, state.label, state.difficulty, {
+          mode: state.mode,
+          category: state.round.category,
+          attempts: state.attempts,
+          points: 0,
+          streak: 0,
+          skipped: true,
+        });
+      }
+    }
+    loadNewImage(state.mode);
+  }, [state.mode, state.revealed, state.loading, state.round, state.attempts, state.guessHistory, state.hintLevel, state.label, state.difficulty, recordMiss, saveRoundHistory, loadNewImage]);
 
+  // After the daily round there is nothing left to play today - continue in classic mode
   const handleNext = useCallback(() => {
-    loadNewImage();
-  }, [loadNewImage]);
+    if (state.mode === GAME_MODES.DAILY) {
+      dispatch({ type: GAME_ACTIONS.SET_MODE, payload: GAME_MODES.CLASSIC });
+      loadNewImage(GAME_MODES.CLASSIC);
+      return;
+    }
+    // A finished blitz run restarts the clock
+    if (state.mode === GAME_MODES.BLITZ && state.blitz.finished) {
+      resetSession();
+      dispatch({ type: GAME_ACTIONS.START_BLITZ });
+    }
+    loadNewImage(state.mode);
+  }, [state.mode, state.blitz.finished, dispatch, loadNewImage, resetSession]);
+
+  // Difficulty presets apply from a fresh round
+  const handleDifficultyChange = useCallback((difficulty) => {
+    if (difficulty === state.difficulty) return;
+    dispatch({ type: GAME_ACTIONS.SET_DIFFICULTY, payload: difficulty });
+    loadNewImage(state.mode);
+  }, [state.difficulty, state.mode, dispatch, loadNewImage]);
+
+  const handleModeChange = useCallback((mode) => {
+    if (mode === state.mode) return;
+
+    // Leaving a daily round after guessing uses up today's single attempt
+    if (state.mode === GAME_MODES.DAILY && !state.revealed) {
+      if (state.attempts > 0) {
+        setDailyProgress(recordDailyResult(state.round.dayKey, false, 0));
+      } else {
+        clearDailyStarted(state.round.dayKey);
+      }
+    }
+
+    // Each mode keeps its own run
+    resetSession();
+    dispatch({ type: GAME_ACTIONS.SET_MODE, payload: mode });
+    if (mode === GAME_MODES.BLITZ) {
+      dispatch({ type: GAME_ACTIONS.START_BLITZ });
+    }
+    loadNewImage(mode);
+  }, [state.mode, state.revealed, state.attempts, state.round, dispatch, loadNewImage, resetSession]);
+
+  // Reveal setting changes apply to the current round right away
+  const handleRevealChange = useCallback((setting) => {
+    dispatch({ type: GAME_ACTIONS.SET_REVEAL_SETTING, payload: setting });
+    dispatch({
+      type: GAME_ACTIONS.SET_ROUND,
+      payload: { revealMode: pickRevealMode(setting, getActiveTheme()) },
+    });
+  }, [dispatch]);
+
+  // Switching packs starts a fresh round from the new source (daily rounds are fixed)
+  const handlePackChange = useCallback((packId) => {
+    if (packId === state.activePackId) return;
+    dispatch({ type: GAME_ACTIONS.SET_ACTIVE_PACK, payload: packId });
+    if (state.mode !== GAME_MODES.DAILY) {
+      loadNewImage(state.mode, packId);
+    }
+  }, [state.activePackId, state.mode, dispatch, loadNewImage]);
+
+  const handlePackImport = useCallback(async (files) => {
+    try {
+      const pack = await importPack(files);
+      setPacks(await listPacks());
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> PACK IMPORTED: ${pack.name} (${pack.count} images)` });
+      // Play the freshly imported pack (also picks up a re-imported active pack)
+      dispatch({ type: GAME_ACTIONS.SET_ACTIVE_PACK, payload: pack.id });
+      if (state.mode !== GAME_MODES.DAILY) {
+        loadNewImage(state.mode, pack.id);
+      }
+    } catch (err) {
+      console.error("Pack import error:", err);
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> PACK ERROR: ${err.message}` });
+    }
+  }, [state.mode, dispatch, loadNewImage]);
+
+  const closeStats = useCallback(() => setShowStats(false), []);
+  const closeLeaderboard = useCallback(() => setLeaderboardKey(null), []);
+
+  // Profiles: switching remounts the game (see App) so every setting reloads
+  const [profiles, setProfiles] = useState(() => getProfiles());
+  const activeProfile = getActiveProfile();
+
+  const handleCreateProfile = useCallback(({ name, avatar }) => {
+    const profile = createProfile({ name, avatar });
+    switchProfile(profile.id);
+  }, []);
+
+  const handleDeleteProfile = useCallback((id) => {
+    deleteProfile(id);
+    setProfiles(getProfiles());
+  }, []);
+  const closeAchievements = useCallback(() => setShowAchievements(false), []);
+
+  // Store rounds (metadata + image bytes) for offline play
+  const handleOfflineDownload = useCallback(async () => {
+    try {
+      const categories = await getImageProvider().getCategories();
+      const { stored, total } = await imagePool.downloadForOffline(
+        arrayUtils.shuffle(categories),
+        gameConfig.imagePool.offlineRounds,
+        setOfflineProgress
+      );
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> ${stored}/${total} ROUNDS SAVED FOR OFFLINE` });
+    } catch (err) {
+      console.error("Offline download error:", err);
+      dispatch({ type: GAME_ACTIONS.SET_HINT, payload: `> OFFLINE ERROR: ${err.message}` });
+    } finally {
+      setOfflineProgress(null);
+    }
+  }, [dispatch]);
+
+  // Player-defined alias: accept the last rejected guess for this answer from now on
+  const handleAcceptGuess = useCallback(() => {
+    const guess = state.round.lastMissedGuess;
+    if (!guess) return;
+    addUserAlias(state.label, guess, state.round.category);
+    dispatch({ type: GAME_ACTIONS.SET_ROUND, payload: { lastMissedGuess: null } });
+    dispatch({
+      type: GAME_ACTIONS.SET_HINT,
+      payload: `> "${guess.toUpperCase()}" will count as ${state.label.toUpperCase()} from now on`,
+    });
+  }, [state.label, state.round, dispatch]);
+
+  const imageProps = {
+    loading: state.loading,
+    imageUrl: state.imageUrl,
+    blur: state.blur,
+    alt: "Guess",
+    revealMode: state.round.revealMode,
+    revealProgress: getRevealProgress(state.blur, getDifficultyPreset(state.difficulty).initialBlur),
+    revealSeed: state.round.id,
+  };
+
+  const isDaily = state.mode === GAME_MODES.DAILY;
+  const isBlitz = state.mode === GAME_MODES.BLITZ;
+
+  // Offer to accept a rejected guess after a lost round (not for the shared daily puzzle)
+  const acceptGuessProps = !isDaily && !state.round.won && state.round.lastMissedGuess
+    ? { missedGuess: state.round.lastMissedGuess, onAcceptGuess: handleAcceptGuess }
+    : {};
 
   const isMobile = useMemo(() => windowSize.width < 768, [windowSize.width]);
 
+  // Best score on the current mode/difficulty board (re-read after each submission)
+  const highScore = useMemo(
+    () => getBestScore(state.mode, state.difficulty),
+    [state.mode, state.difficulty, lastRun]
+  );
+
+  // Where this round's score placed: its category board first, else the "all" board
+  const placement = useMemo(() => {
+    if (!lastRun || lastRun.roundId !== state.round.id) return null;
+    const best = lastRun.placements.find((candidate) => candidate.rank);
+    if (!best) return null;
+    const { mode, difficulty, category } = parseBoardKey(best.key);
+    return { key: best.key, rank: best.rank, board: [mode, difficulty, category].join(" · ").toUpperCase() };
+  }, [lastRun, state.round.id]);
+
+  const showRoundLeaderboard = useCallback(() => {
+    setLeaderboardKey(placement?.key || getBoardKey(state.mode, state.difficulty, isBlitz ? undefined : state.round.category));
+  }, [placement, state.mode, state.difficulty, state.round.category, isBlitz]);
+
   return (
     <div className="app-container">
       <Starfield />
 
       {/* HEADER */}
       <header className="app-header">
-        <ScoreDisplay score={state.score} highScore={state.highScore} />
+        <div className="header-scores">
+          <ScoreDisplay score={state.score} highScore={highScore} />
+          <button
+            type="button"
+            className="option-selector-btn leaderboard-btn"
+            onClick={() => setLeaderboardKey(getBoardKey(state.mode, state.difficulty))}
+            aria-label="Leaderboard"
+          >
+            🏆
+          </button>
+          <SessionDisplay
+            rounds={session.rounds}
+            streak={session.streak}
+            multiplier={multiplier}
+            total={session.total}
+          />
+          {isBlitz && (
+            <TimerDisplay
+              remaining={state.timer.remaining}
+              solved={session.wins}
+              total={session.total}
+              lowTime={BLITZ.lowTimeWarning}
+              paused={!blitzRunning && !state.blitz.finished}
+            />
+          )}
+        </div>
 
         <motion.h1
           className="pixel-title"
@@ -370,9 +925,101 @@ function GameBoard() {
           PIXELPEEK
         </motion.h1>
 
-        <div className="header-spacer"></div>
+        <div className="header-spacer">
+          <ProfileSwitcher
+            profiles={profiles}
+            activeProfile={activeProfile}
+            avatars={gameConfig.profiles.avatars}
+            onSwitch={switchProfile}
+            onCreate={handleCreateProfile}
+            onDelete={handleDeleteProfile}
+          />
+        </div>
       </header>
 
+      {!online && <OfflineBanner pendingSync={pendingSync} />}
+
+      {showStats && (
+        <Suspense fallback={null}>
+          <StatsDashboard onClose={closeStats} />
+        </Suspense>
+      )}
+
+      {leaderboardKey && (
+        <Suspense fallback={null}>
+          <LeaderboardScreen
+            initialKey={leaderboardKey}
+            highlightId={lastRun?.entry.id}
+            onClose={closeLeaderboard}
+          />
+        </Suspense>
+      )}
+
+      {showAchievements && (
+        <Suspense fallback={null}>
+          <AchievementGallery onClose={closeAchievements} />
+        </Suspense>
+      )}
+
+      {unlockedToasts.length > 0 && (
+        <AchievementToast
+          key={unlockedToasts[0].id}
+          achievement={unlockedToasts[0]}
+          onDismiss={dismissAchievementToast}
+        />
+      )}
+
+      <div className="game-toolbar">
+        <OptionSelector
+          label="MODE"
+          value={state.mode}
+          options={MODE_OPTIONS}
+          onChange={handleModeChange}
+          disabled={state.loading}
+        />
+        <OptionSelector
+          label="DIFFICULTY"
+          value={state.difficulty}
+          options={DIFFICULTY_LEVELS}
+          onChange={handleDifficultyChange}
+          disabled={state.loading || isDaily}
+        />
+        <OptionSelector
+          label="REVEAL"
+          value={state.revealSetting}
+          options={REVEAL_SETTINGS}
+          onChange={handleRevealChange}
+        />
+        <PackPicker
+          packs={packs}
+          activePackId={state.activePackId}
+          onChange={handlePackChange}
+          onImport={handlePackImport}
+          disabled={state.loading}
+        />
+        {getImageProvider().name === "unsplash" && !state.activePackId && (
+          <OfflineDownload
+            count={gameConfig.imagePool.offlineRounds}
+            progress={offlineProgress}
+            onDownload={handleOfflineDownload}
+            disabled={!online}
+          />
+        )}
+        <button type="button" className="option-selector-btn" onClick={() => setShowStats(true)}>
+          STATS
+        </button>
+        <button type="button" className="option-selector-btn" onClick={() => setShowAchievements(true)}>
+          BADGES {badgeCount}/{achievementEngine.rules.length}
+        </button>
+        {isDaily && (
+          <DailyStatus
+            dayKey={dailyProgress.dayKey}
+            streak={dailyProgress.streak}
+            bestStreak={dailyProgress.bestStreak}
+          />
+        )}
+      </div>
+
       {/* MAIN GAME CONTENT */}
       <main className="game-content">
         {/* Desktop Layout */}
@@ -380,33 +1027,38 @@ function GameBoard() {
           <div className="game-layout-desktop">
             <div className="game-hint-section">
               <Suspense fallback={<div className="hint-panel" style={{ display: "flex", alignItems: "center", justifyContent: "center", fontSize: "0.9rem", color: "#FFA500" }} aria-hidden="true">LOADING HINT...</div>}>
-                <HintPanel hint={state.hint} blurAmount={state.blur} />
+                <HintPanel hint={state.hint} blurAmount={state.blur} aiStatus={aiStatus} />
               </Suspense>
             </div>
 
             <div className="game-play-section">
               <div className="game-image-wrapper">
                 <Suspense fallback={<div className="game-image-container" style={{ display: "flex", alignItems: "center", justifyContent: "center", fontSize: "0.9rem", color: "#FFA500" }} aria-hidden="true">LOADING IMAGE...</div>}>
-                  <GameImageContainer
-                    loading={state.loading}
-                    imageUrl={state.imageUrl}
-                    blur={state.blur}
-                    alt="Guess"
-                  />
+                  <GameImageContainer {...imageProps} />
                 </Suspense>
               </div>
 
               <div className="game-controls-wrapper">
                 <AttemptsCounter attempts={state.attempts} maxAttempts={MAX_ATTEMPTS} />
+                <GuessHistory guesses={state.guessHistory} />
 
                 {state.revealed ? (
-                  <AnswerReveal label={state.label} onNext={handleNext} />
+                  <AnswerReveal
+                    label={state.label}
+                    attribution={state.round.attribution}
+                    matchedAnswer={state.round.matchedAnswer}
+                    acceptedAnswers={state.round.acceptedAnswers}
+                    onNext={handleNext}
+                    placement={placement}
+                    onShowLeaderboard={showRoundLeaderboard}
+                    {...acceptGuessProps}
+                  />
                 ) : (
                   <GuessForm
                     guess={state.guess}
                     onGuessChange={handleGuessChange}
                     onSubmit={handleGuess}
-                    onSkip={handleSkip}
+                    onSkip={isDaily ? undefined : handleSkip}
                     revealed={state.revealed}
                   />
                 )}
@@ -419,29 +1071,34 @@ function GameBoard() {
         {isMobile && (
           <div className="game-layout-mobile">
             <div className="game-hint-section-mobile">
-              <HintPanel hint={state.hint} blurAmount={state.blur} />
+              <HintPanel hint={state.hint} blurAmount={state.blur} aiStatus={aiStatus} />
             </div>
 
             <div className="game-image-wrapper-mobile">
-              <GameImageContainer
-                loading={state.loading}
-                imageUrl={state.imageUrl}
-                blur={state.blur}
-                alt="Guess"
-              />
+              <GameImageContainer {...imageProps} />
             </div>
 
             <div className="game-controls-wrapper-mobile">
               <AttemptsCounter attempts={state.attempts} maxAttempts={MAX_ATTEMPTS} />
+              <GuessHistory guesses={state.guessHistory} />
 
               {state.revealed ? (
-                <AnswerReveal label={state.label} onNext={handleNext} />
+                <AnswerReveal
+                  label={state.label}
+                  attribution={state.round.attribution}
+                  matchedAnswer={state.round.matchedAnswer}
+                  acceptedAnswers={state.round.acceptedAnswers}
+                  onNext={handleNext}
+                  placement={placement}
+                  onShowLeaderboard={showRoundLeaderboard}
+                  {...acceptGuessProps}
+                />
               ) : (
                 <GuessForm
                   guess={state.guess}
                   onGuessChange={handleGuessChange}
                   onSubmit={handleGuess}
-                  onSkip={handleSkip}
+                  onSkip={isDaily ? undefined : handleSkip}
                   revealed={state.revealed}
                 />
               )}
@@ -457,10 +1114,17 @@ function GameBoard() {
  * Main App Component with Error Boundary and Context
  */
 export default function App() {
+  const [profileId, setProfileId] = useState(() => getActiveProfile().id);
+
+  // Remount the game with the new profile's settings, scores and history
+  useEffect(() => subscribeProfiles((profile) => setProfileId(profile.id)), []);
+
   return (
     <ErrorBoundary>
-      <GameProvider>
-        <GameBoard />
+      <GameProvider key={profileId}>
+        <SessionProvider>
+          <GameBoard />
+        </SessionProvider>
       </GameProvider>
     </ErrorBoundary>
   );
@@ -0,0 +1,75 @@
+import React, { memo, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { achievementEngine } from "../lib/achievements";
+
+/**
+ * Badge: unlocked date or progress towards the goal
+ */
+const Badge = memo(({ achievement }) => (
+  <li className={`achievement-badge ${achievement.unlocked ? "achievement-unlocked" : "achievement-locked"}`}>
+    <span className="achievement-badge-icon" aria-hidden="true">{achievement.icon}</span>
+    <span className="achievement-badge-title">{achievement.title}</span>
+    <span className="achievement-badge-description">{achievement.description}</span>
+    {achievement.unlocked ? (
+      <span className="achievement-badge-status">{new Date(achievement.unlockedAt).toLocaleDateString()}</span>
+    ) : (
+      achievement.target > 1 && (
+        <span className="achievement-badge-status">{achievement.current}/{achievement.target}</span>
+      )
+    )}
+  </li>
+));
+
+Badge.displayName = "Badge";
+
+/**
+ * Achievement Gallery: every badge, unlocked or with its progress
+ */
+export const AchievementGallery = memo(({ onClose }) => {
+  const [achievements, setAchievements] = useState(() => achievementEngine.getAchievements());
+  const unlocked = achievements.filter((achievement) => achievement.unlocked).length;
+
+  // Refresh when something unlocks while the gallery is open
+  useEffect(() => achievementEngine.subscribe(() => setAchievements(achievementEngine.getAchievements())), []);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="stats-overlay" onClick={onClose}>
+      <motion.div
+        className="stats-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="achievements-title"
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="stats-header">
+          <h2 id="achievements-title">BADGES {unlocked}/{achievements.length}</h2>
+          <button type="button" className="option-selector-btn" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+
+        <ul className="achievement-grid">
+          {achievements.map((achievement) => (
+            <Badge key={achievement.id} achievement={achievement} />
+          ))}
+        </ul>
+      </motion.div>
+    </div>
+  );
+});
+
+AchievementGallery.displayName = "AchievementGallery";
+
+export default AchievementGallery;
@@ -1,4 +1,4 @@
-import React, { memo, useMemo, useCallback, useRef } from "react";
+import React, { memo, useMemo, useCallback, useRef, useState } from "react";
 import { motion } from "framer-motion";
 
 /* Heavy components (LazyImage, HintPanel, GameImageContainer) have been moved to `src/components/HeavyComponents.jsx` and are lazy-loaded from the app to enable bundle splitting. */
@@ -32,6 +32,47 @@ export const ScoreDisplay = memo(({ score, highScore }) => {
 
 ScoreDisplay.displayName = "ScoreDisplay";
 
+/**
+ * Blitz Countdown Timer Component
+ */
+export const TimerDisplay = memo(({ remaining, solved, total, lowTime, paused }) => {
+  const label = useMemo(() => {
+    const seconds = Math.ceil(remaining / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+  }, [remaining]);
+
+  return (
+    <div className="timer-display" role="timer" aria-label="Time remaining">
+      <div className={`timer-clock ${remaining <= lowTime ? "low" : ""} ${paused ? "paused" : ""}`}>
+        {label}
+      </div>
+      <div className="timer-meta">
+        SOLVED {solved} · {total} PTS
+      </div>
+    </div>
+  );
+});
+
+TimerDisplay.displayName = "TimerDisplay";
+
+/**
+ * Session Display Component (run total, streak and combo multiplier)
+ */
+export const SessionDisplay = memo(({ rounds, streak, multiplier, total }) => {
+  return (
+    <div className="session-display">
+      <div className="session-total">RUN {total}</div>
+      <div className="session-meta">
+        RND {rounds} · STREAK {streak}
+        {multiplier > 1 && <span className="session-combo"> x{multiplier.toFixed(2).replace(/\.?0+$/, "")}</span>}
+      </div>
+    </div>
+  );
+});
+
+SessionDisplay.displayName = "SessionDisplay";
+
 /**
  * Guess Input and Buttons Component
  */
@@ -81,14 +122,16 @@ export const GuessForm = memo(({ guess, onGuessChange, onSubmit, onSkip, reveale
       >
         GUESS
       </button>
-      <button
-        className="retro-btn retro-btn-blue"
-        onClick={onSkip}
-        style={{ fontSize: "0.9rem", padding: "14px 20px", flexShrink: 0 }}
-        type="button"
-      >
-        SKIP
-      </button>
+      {onSkip && (
+        <button
+          className="retro-btn retro-btn-blue"
+          onClick={onSkip}
+          style={{ fontSize: "0.9rem", padding: "14px 20px", flexShrink: 0 }}
+          type="button"
+        >
+          SKIP
+        </button>
+      )}
     </form>
   );
 });
@@ -113,10 +156,43 @@ export const AttemptsCounter = memo(({ attempts, maxAttempts }) => {
 
 AttemptsCounter.displayName = "AttemptsCounter";
 
+/**
+ * Guess History Component - wrong guesses of the round with warm/cold feedback
+ */
+export const GuessHistory = memo(({ guesses }) => {
+  if (!guesses?.length) return null;
+
+  return (
+    <ol className="guess-history" aria-label="Previous guesses">
+      {guesses.map(({ guess, proximity }, index) => (
+        <li key={index} className={`guess-chip proximity-${proximity?.id || "unknown"}`}>
+          <span className="guess-chip-text">{guess.toUpperCase()}</span>
+          {proximity && <span className="guess-chip-level">{proximity.label}</span>}
+        </li>
+      ))}
+    </ol>
+  );
+});
+
+GuessHistory.displayName = "GuessHistory";
+
 /**
  * Answer Reveal Component
  */
-export const AnswerReveal = memo(({ label, onNext }) => {
+export const AnswerReveal = memo(({
+  label,
+  attribution,
+  matchedAnswer,
+  acceptedAnswers = [],
+  onNext,
+  missedGuess,
+  onAcceptGuess,
+  placement,
+  onShowLeaderboard,
+}) => {
+  const primary = label.toLowerCase();
+  const otherAnswers = acceptedAnswers.filter((answer) => answer !== primary && answer !== matchedAnswer);
+
   return (
     <motion.div
       initial={{ opacity: 0, scale: 0.8 }}
@@ -137,6 +213,33 @@ export const AnswerReveal = memo(({ label, onNext }) => {
       >
         {label.toUpperCase()}
       </motion.div>
+      {matchedAnswer && matchedAnswer !== primary && (
+        <div className="answer-matched">MATCHED: {matchedAnswer.toUpperCase()}</div>
+      )}
+      {otherAnswers.length > 0 && (
+        <div className="answer-accepted">ALSO ACCEPTED: {otherAnswers.join(", ").toUpperCase()}</div>
+      )}
+      {attribution?.name && (
+        <div className="answer-attribution">
+          PHOTO:{" "}
+          {attribution.url ? (
+            <a href={attribution.url} target="_blank" rel="noopener noreferrer">{attribution.name}</a>
+          ) : (
+            attribution.name
+          )}
+          {attribution.source && ` · ${attribution.source}`}
+        </div>
+      )}
+      {missedGuess && onAcceptGuess && (
+        <button type="button" className="option-selector-btn" onClick={onAcceptGuess}>
+          COUNT "{missedGuess.toUpperCase()}" AS CORRECT NEXT TIME
+        </button>
+      )}
+      {onShowLeaderboard && (
+        <button type="button" className="option-selector-btn leaderboard-btn" onClick={onShowLeaderboard}>
+          {placement ? `🏆 #${placement.rank} ON ${placement.board} - LEADERBOARD` : "🏆 LEADERBOARD"}
+        </button>
+      )}
       <button
         className="retro-btn retro-btn-green"
         onClick={onNext}
@@ -154,3 +257,252 @@ export const AnswerReveal = memo(({ label, onNext }) => {
 });
 
 AnswerReveal.displayName = "AnswerReveal";
+
+/**
+ * Option Selector Component (segmented buttons for game settings)
+ * Options can be plain strings or { value, label } objects
+ */
+export const OptionSelector = memo(({ label, value, options, onChange, disabled }) => {
+  const normalizedOptions = useMemo(() => options.map((option) => (
+    typeof option === "string" ? { value: option, label: option.toUpperCase() } : option
+  )), [options]);
+
+  return (
+    <div className="option-selector" role="radiogroup" aria-label={label}>
+      <span className="option-selector-label">{label}</span>
+      {normalizedOptions.map((option) => (
+        <button
+          key={option.value}
+          type="button"
+          role="radio"
+          aria-checked={option.value === value}
+          className={`option-selector-btn ${option.value === value ? "active" : ""}`}
+          onClick={() => onChange(option.value)}
+          disabled={disabled}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+});
+
+OptionSelector.displayName = "OptionSelector";
+
+/**
+ * Daily Challenge Status Component
+ */
+export const DailyStatus = memo(({ dayKey, streak, bestStreak }) => {
+  return (
+    <div className="daily-status" aria-live="polite">
+      DAY {dayKey} · STREAK {streak} · BEST {bestStreak}
+    </div>
+  );
+});
+
+DailyStatus.displayName = "DailyStatus";
+
+/**
+ * Pack Picker Component
+ * Chooses the active image pack and imports new ones (a .json manifest plus images)
+ */
+export const PackPicker = memo(({ packs, activePackId, onChange, onImport, disabled }) => {
+  const fileInputRef = useRef(null);
+
+  const handleFiles = useCallback((e) => {
+    if (e.target.files?.length) {
+      onImport(e.target.files);
+    }
+    // Allow re-importing the same files
+    e.target.value = "";
+  }, [onImport]);
+
+  return (
+    <div className="pack-picker">
+      <label className="option-selector-label" htmlFor="pack-select">PACK</label>
+      <select
+        id="pack-select"
+        className="pack-select"
+        value={activePackId || ""}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+      >
+        <option value="">DEFAULT</option>
+        {packs.map((pack) => (
+          <option key={pack.id} value={pack.id}>
+            {pack.name.toUpperCase()} ({pack.count})
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="option-selector-btn"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+      >
+        IMPORT
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,image/*"
+        multiple
+        onChange={handleFiles}
+        style={{ display: "none" }}
+        aria-label="Import image pack"
+      />
+    </div>
+  );
+});
+
+PackPicker.displayName = "PackPicker";
+
+/**
+ * Offline Download: store a batch of rounds (image bytes included) for playing without a network
+ */
+export const OfflineDownload = memo(({ count, progress, onDownload, disabled }) => {
+  const downloading = Boolean(progress);
+
+  return (
+    <button
+      type="button"
+      className="option-selector-btn offline-download-btn"
+      onClick={onDownload}
+      disabled={disabled || downloading}
+      title={`Download ${count} rounds to play offline`}
+    >
+      {downloading ? `SAVING ${progress.done}/${progress.total}` : `OFFLINE ×${count}`}
+    </button>
+  );
+});
+
+OfflineDownload.displayName = "OfflineDownload";
+
+/**
+ * Offline Banner: explains what still works without a network
+ */
+export const OfflineBanner = memo(({ pendingSync = 0 }) => (
+  <div className="offline-banner" role="status">
+    <strong>OFFLINE</strong>
+    <span>Playing saved rounds with local hints and answer checks.</span>
+    <span>Unavailable: AI hints, AI answer checks and new photos.</span>
+    {pendingSync > 0 && <span>{pendingSync} update{pendingSync === 1 ? "" : "s"} will sync when you reconnect.</span>}
+  </div>
+));
+
+OfflineBanner.displayName = "OfflineBanner";
+
+/**
+ * Achievement unlock toast (auto-dismissed by the parent)
+ */
+export const AchievementToast = memo(({ achievement, onDismiss }) => (
+  <motion.div
+    className="achievement-toast"
+    role="status"
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    onClick={onDismiss}
+  >
+    <span className="achievement-toast-icon" aria-hidden="true">{achievement.icon}</span>
+    <span>
+      <strong>ACHIEVEMENT UNLOCKED</strong>
+      <span className="achievement-toast-title">{achievement.title}</span>
+    </span>
+  </motion.div>
+));
+
+AchievementToast.displayName = "AchievementToast";
+
+/**
+ * Profile Switcher: active player in the header, with a menu to switch, add or delete profiles
+ * `onCreate` may throw (empty/duplicate name, limit reached); the message is shown in the menu.
+ */
+export const ProfileSwitcher = memo(({ profiles, activeProfile, avatars, onSwitch, onCreate, onDelete }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [avatar, setAvatar] = useState(avatars[0]);
+  const [error, setError] = useState(null);
+
+  const handleCreate = useCallback((e) => {
+    e.preventDefault();
+    try {
+      onCreate({ name, avatar });
+      setName("");
+      setError(null);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [name, avatar, onCreate]);
+
+  const handleSwitch = useCallback((id) => {
+    setOpen(false);
+    onSwitch(id);
+  }, [onSwitch]);
+
+  return (
+    <div className="profile-switcher">
+      <button
+        type="button"
+        className="option-selector-btn profile-switcher-btn"
+        onClick={() => setOpen((value) => !value)}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        <span aria-hidden="true">{activeProfile.avatar}</span> {activeProfile.name.toUpperCase()}
+      </button>
+
+      {open && (
+        <div className="profile-menu">
+          <ul className="profile-list">
+            {profiles.map((profile) => (
+              <li key={profile.id} className={profile.id === activeProfile.id ? "profile-active" : ""}>
+                <button type="button" className="profile-select" onClick={() => handleSwitch(profile.id)}>
+                  <span aria-hidden="true">{profile.avatar}</span> {profile.name.toUpperCase()}
+                </button>
+                {profiles.length > 1 && (
+                  <button
+                    type="button"
+                    className="profile-delete"
+                    onClick={() => window.confirm(`Delete ${profile.name} and all their scores?`) && onDelete(profile.id)}
+                    aria-label={`Delete ${profile.name}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <form className="profile-form" onSubmit={handleCreate}>
+            <div className="profile-avatars" role="radiogroup" aria-label="Avatar">
+              {avatars.map((option) => (
+                <button
+                  key={option}
+                  type="button"
+                  role="radio"
+                  aria-checked={option === avatar}
+                  className={option === avatar ? "profile-avatar profile-avatar-selected" : "profile-avatar"}
+                  onClick={() => setAvatar(option)}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+            <input
+              className="profile-name-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="NEW PLAYER"
+              aria-label="New profile name"
+            />
+            <button type="submit" className="option-selector-btn">ADD</button>
+            {error && <p className="profile-error">{error}</p>}
+          </form>
+        </div>
+      )}
+    </div>
+  );
+});
+
+ProfileSwitcher.displayName = "ProfileSwitcher";
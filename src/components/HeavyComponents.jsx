@@ -1,6 +1,8 @@
-import React, { memo, useMemo, useCallback, useRef } from "react";
+import React, { memo, useMemo, useCallback, useRef, useState, useEffect } from "react";
 import { motion } from "framer-motion";
-import { useIntersectionObserver } from "../hooks/useCustomHooks";
+import { useIntersectionObserver, useInterval, useCachedImageUrl } from "../hooks/useCustomHooks";
+import { gameConfig } from "../config/gameConfig";
+import { REVEAL_RENDERERS, isCanvasReveal } from "../lib/revealRenderers";
 
 /**
  * Lazy Image Component with intersection observer
@@ -36,11 +38,85 @@ export const LazyImage = memo(({ src, alt, style, crossOrigin, blur }) => {
 
 LazyImage.displayName = "LazyImage";
 
+/**
+ * Reveal Canvas Component - draws the image through a canvas reveal renderer
+ * (pixelate, tiles, spotlight) driven by the round's reveal progress
+ */
+export const RevealCanvas = memo(({ src, alt, mode, progress, seed, onError }) => {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const size = gameConfig.reveal.canvasSize;
+
+  // Load the source image once per round
+  useEffect(() => {
+    setImage(null);
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => setImage(img);
+    img.onerror = () => onError?.();
+    img.src = src;
+
+    return () => {
+      img.onload = null;
+      img.onerror = null;
+    };
+  }, [src, onError]);
+
+  // Redraw whenever mode or progress changes; animated renderers keep a rAF loop
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const renderer = REVEAL_RENDERERS[mode];
+    if (!canvas || !image || !renderer) return;
+
+    const ctx = canvas.getContext("2d");
+    const draw = (time) => {
+      ctx.clearRect(0, 0, size, size);
+      renderer.draw(ctx, image, progress, { seed, time });
+    };
+
+    if (!renderer.animated || progress >= 1) {
+      draw(performance.now());
+      return;
+    }
+
+    let animationId;
+    const animate = (time) => {
+      draw(time);
+      animationId = requestAnimationFrame(animate);
+    };
+    animationId = requestAnimationFrame(animate);
+
+    return () => cancelAnimationFrame(animationId);
+  }, [image, mode, progress, seed, size]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={size}
+      height={size}
+      role="img"
+      aria-label={alt}
+      className="reveal-canvas"
+      style={{ display: "block", width: "100%", height: "100%" }}
+    />
+  );
+});
+
+RevealCanvas.displayName = "RevealCanvas";
+
 /**
  * Animated HintPanel Component
  */
-export const HintPanel = memo(({ hint, blurAmount }) => {
+export const HintPanel = memo(({ hint, blurAmount, aiStatus }) => {
   const hintMemo = useMemo(() => hint, [hint]);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick the cooldown countdown once a second while it runs
+  useInterval(() => setNow(Date.now()), aiStatus?.coolingDown ? 1000 : null);
+
+  const cooldownSeconds = aiStatus?.coolingDown
+    ? Math.max(0, Math.ceil((aiStatus.cooldownUntil - now) / 1000))
+    : 0;
 
   return (
     <motion.div
@@ -53,6 +129,16 @@ export const HintPanel = memo(({ hint, blurAmount }) => {
       <div className="hint-label">
         💡 HINT
       </div>
+      {aiStatus?.coolingDown && (
+        <div className="hint-ai-status" role="status">
+          AI COOLING DOWN {cooldownSeconds}s · LOCAL HINTS
+        </div>
+      )}
+      {!aiStatus?.coolingDown && aiStatus?.exhausted && (
+        <div className="hint-ai-status" role="status">
+          AI DAILY LIMIT REACHED · LOCAL HINTS
+        </div>
+      )}
       <div className="hint-text">
         {hintMemo || "..."}
       </div>
@@ -65,7 +151,10 @@ HintPanel.displayName = "HintPanel";
 /**
  * Game Image Container with fallback states
  */
-export const GameImageContainer = memo(({ loading, imageUrl, blur, alt }) => {
+export const GameImageContainer = memo(({ loading, imageUrl, blur, alt, revealMode = "blur", revealProgress = 0, revealSeed = "" }) => {
+  // Stored bytes (offline rounds) are served through an object URL
+  const src = useCachedImageUrl(imageUrl);
+
   const handleImageError = useCallback(() => {
     console.error("Failed to load image");
   }, []);
@@ -78,7 +167,7 @@ export const GameImageContainer = memo(({ loading, imageUrl, blur, alt }) => {
     justifyContent: "center",
   }), []);
 
-  if (loading) {
+  if (loading || (imageUrl && !src)) {
     return (
       <motion.div
         className="game-image-container"
@@ -136,12 +225,23 @@ export const GameImageContainer = memo(({ loading, imageUrl, blur, alt }) => {
       transition={{ duration: 0.3 }}
       style={containerStyle}
     >
-      <LazyImage
-        src={imageUrl}
-        alt={alt}
-        blur={blur}
-        crossOrigin="anonymous"
-      />
+      {isCanvasReveal(revealMode) ? (
+        <RevealCanvas
+          src={src}
+          alt={alt}
+          mode={revealMode}
+          progress={revealProgress}
+          seed={revealSeed || imageUrl}
+          onError={handleImageError}
+        />
+      ) : (
+        <LazyImage
+          src={src}
+          alt={alt}
+          blur={blur}
+          crossOrigin="anonymous"
+        />
+      )}
     </motion.div>
   );
 });
@@ -150,6 +250,7 @@ GameImageContainer.displayName = "GameImageContainer";
 
 export default {
   LazyImage,
+  RevealCanvas,
   HintPanel,
   GameImageContainer
 };
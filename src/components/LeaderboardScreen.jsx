@@ -0,0 +1,133 @@
+import React, { memo, useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { GAME_MODES, DIFFICULTY_LEVELS } from "../context/GameContext";
+import { ALL_CATEGORIES, getBoardKey, parseBoardKey, getBoardKeys, getLeaderboard } from "../lib/leaderboard";
+
+/**
+ * Short summary of an entry's round or run details
+ */
+function describeDetails(details = {}) {
+  if (details.solved !== undefined) return `${details.solved} SOLVED · BEST STREAK ${details.bestStreak || 0}`;
+  const parts = [];
+  if (details.answer) parts.push(String(details.answer).toUpperCase());
+  if (details.attempts) parts.push(`${details.attempts} GUESS${details.attempts === 1 ? "" : "ES"}`);
+  if (details.hintsUsed) parts.push(`${details.hintsUsed} HINT${details.hintsUsed === 1 ? "" : "S"}`);
+  return parts.join(" · ");
+}
+
+/**
+ * Board picker select
+ */
+const BoardSelect = memo(({ id, label, value, options, onChange }) => (
+  <label className="leaderboard-select" htmlFor={id}>
+    <span className="option-selector-label">{label}</span>
+    <select id={id} className="pack-select" value={value} onChange={(e) => onChange(e.target.value)}>
+      {options.map((option) => (
+        <option key={option} value={option}>{option.toUpperCase()}</option>
+      ))}
+    </select>
+  </label>
+));
+
+BoardSelect.displayName = "BoardSelect";
+
+/**
+ * Leaderboard Screen: top scores per mode, difficulty and category
+ * `highlightId` marks the latest run's entry.
+ */
+export const LeaderboardScreen = memo(({ initialKey, highlightId, onClose }) => {
+  const [board, setBoard] = useState(() => parseBoardKey(initialKey));
+  const boardKey = getBoardKey(board.mode, board.difficulty, board.category);
+  const entries = useMemo(() => getLeaderboard(boardKey), [boardKey]);
+
+  // Categories with a board for the selected mode and difficulty
+  const categories = useMemo(() => {
+    const stored = new Set(
+      getBoardKeys()
+        .map(parseBoardKey)
+        .filter((key) => key.mode === board.mode && key.difficulty === board.difficulty)
+        .map((key) => key.category)
+    );
+    stored.add(board.category);
+    stored.delete(ALL_CATEGORIES);
+    return [ALL_CATEGORIES, ...[...stored].sort()];
+  }, [board]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="stats-overlay" onClick={onClose}>
+      <motion.div
+        className="stats-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="leaderboard-title"
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="stats-header">
+          <h2 id="leaderboard-title">LEADERBOARD</h2>
+          <button type="button" className="option-selector-btn" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+
+        <div className="leaderboard-filters">
+          <BoardSelect
+            id="leaderboard-mode"
+            label="MODE"
+            value={board.mode}
+            options={Object.values(GAME_MODES)}
+            onChange={(mode) => setBoard({ ...board, mode, category: ALL_CATEGORIES })}
+          />
+          <BoardSelect
+            id="leaderboard-difficulty"
+            label="DIFFICULTY"
+            value={board.difficulty}
+            options={DIFFICULTY_LEVELS}
+            onChange={(difficulty) => setBoard({ ...board, difficulty, category: ALL_CATEGORIES })}
+          />
+          <BoardSelect
+            id="leaderboard-category"
+            label="CATEGORY"
+            value={board.category}
+            options={categories}
+            onChange={(category) => setBoard({ ...board, category })}
+          />
+        </div>
+
+        {entries.length === 0 ? (
+          <p className="stats-empty">No scores on this board yet.</p>
+        ) : (
+          <ol className="leaderboard-list">
+            {entries.map((entry, index) => (
+              <li key={entry.id} className={entry.id === highlightId ? "leaderboard-latest" : ""}>
+                <span className="leaderboard-rank">#{index + 1}</span>
+                <span className="leaderboard-player">
+                  <span aria-hidden="true">{entry.avatar}</span> {String(entry.player).toUpperCase()}
+                </span>
+                <span className="leaderboard-score">{entry.score}</span>
+                <span className="leaderboard-details">
+                  {new Date(entry.date).toLocaleDateString()} · {describeDetails(entry.details)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </motion.div>
+    </div>
+  );
+});
+
+LeaderboardScreen.displayName = "LeaderboardScreen";
+
+export default LeaderboardScreen;
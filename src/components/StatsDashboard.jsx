@@ -0,0 +1,203 @@
+import React, { memo, useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { getHistory, computeStatistics } from "../lib/gameHistory";
+
+const RECENT_ROUNDS = 10;
+const HARDEST_SHOWN = 5;
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 90;
+
+/**
+ * Format a duration in ms as "12s" / "1m 05s"
+ */
+function formatDuration(ms) {
+  if (!ms) return "-";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Change in win rate between the older and newer half of the trend
+ */
+function getImprovement(trend) {
+  if (trend.length < 2) return null;
+  const half = Math.floor(trend.length / 2);
+  const rate = (points) => {
+    const played = points.reduce((sum, point) => sum + point.played, 0);
+    const wins = points.reduce((sum, point) => sum + point.wins, 0);
+    return played ? (wins / played) * 100 : 0;
+  };
+  return Math.round(rate(trend.slice(half)) - rate(trend.slice(0, half)));
+}
+
+/**
+ * Stat tile
+ */
+const StatTile = memo(({ label, value }) => (
+  <div className="stats-tile">
+    <div className="stats-tile-value">{value}</div>
+    <div className="stats-tile-label">{label}</div>
+  </div>
+));
+
+StatTile.displayName = "StatTile";
+
+/**
+ * Daily win rate (line) and average score (bars) for the trend window
+ */
+const TrendChart = memo(({ trend }) => {
+  if (trend.length === 0) {
+    return <p className="stats-empty">Play a few rounds to see your trend.</p>;
+  }
+
+  const step = trend.length > 1 ? CHART_WIDTH / (trend.length - 1) : 0;
+  const maxScore = Math.max(1, ...trend.map((point) => point.averageScore));
+  const x = (index) => (trend.length > 1 ? index * step : CHART_WIDTH / 2);
+  const line = trend
+    .map((point, index) => `${x(index)},${CHART_HEIGHT - (point.winRate / 100) * CHART_HEIGHT}`)
+    .join(" ");
+  const barWidth = Math.max(2, Math.min(12, step * 0.6 || 12));
+
+  return (
+    <div className="stats-chart">
+      <svg
+        viewBox={`-8 -4 ${CHART_WIDTH + 16} ${CHART_HEIGHT + 8}`}
+        role="img"
+        aria-label="Daily win rate and average score"
+      >
+        {trend.map((point, index) => {
+          const height = (point.averageScore / maxScore) * CHART_HEIGHT;
+          return (
+            <rect
+              key={point.day}
+              className="stats-chart-bar"
+              x={x(index) - barWidth / 2}
+              y={CHART_HEIGHT - height}
+              width={barWidth}
+              height={height}
+            >
+              <title>{`${point.day}: ${point.averageScore} avg score, ${point.winRate}% won (${point.played} rounds)`}</title>
+            </rect>
+          );
+        })}
+        <polyline className="stats-chart-line" points={line} fill="none" />
+      </svg>
+      <div className="stats-chart-axis">
+        <span>{trend[0].day}</span>
+        <span>— WIN RATE &nbsp; ▮ AVG SCORE</span>
+        <span>{trend[trend.length - 1].day}</span>
+      </div>
+    </div>
+  );
+});
+
+TrendChart.displayName = "TrendChart";
+
+/**
+ * Stats Dashboard: lifetime statistics, hardest categories and trends from the game history
+ */
+export const StatsDashboard = memo(({ onClose }) => {
+  const [rounds, setRounds] = useState(null);
+
+  useEffect(() => {
+    getHistory().then(setRounds);
+  }, []);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  const stats = useMemo(() => (rounds ? computeStatistics(rounds) : null), [rounds]);
+  const improvement = stats ? getImprovement(stats.trend) : null;
+  const recent = rounds ? rounds.slice(-RECENT_ROUNDS).reverse() : [];
+
+  return (
+    <div className="stats-overlay" onClick={onClose}>
+      <motion.div
+        className="stats-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="stats-title"
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        transition={{ duration: 0.2 }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="stats-header">
+          <h2 id="stats-title">STATS</h2>
+          <button type="button" className="option-selector-btn" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+
+        {!stats && <p className="stats-empty">Loading...</p>}
+
+        {stats && stats.gamesPlayed === 0 && (
+          <p className="stats-empty">No rounds yet. Finish a round to start your history.</p>
+        )}
+
+        {stats && stats.gamesPlayed > 0 && (
+          <>
+            <div className="stats-tiles">
+              <StatTile label="PLAYED" value={stats.gamesPlayed} />
+              <StatTile label="WIN RATE" value={`${stats.winRate}%`} />
+              <StatTile label="AVG SCORE" value={stats.averageScore} />
+              <StatTile label="BEST" value={stats.bestScore} />
+              <StatTile label="GUESSES / WIN" value={stats.averageAttempts || "-"} />
+              <StatTile label="TIME / WIN" value={formatDuration(stats.averageDuration)} />
+            </div>
+
+            <h3 className="stats-section-title">
+              TREND
+              {improvement !== null && (
+                <span className={improvement >= 0 ? "stats-up" : "stats-down"}>
+                  {improvement >= 0 ? ` ▲ +${improvement}%` : ` ▼ ${improvement}%`} win rate vs earlier
+                </span>
+              )}
+            </h3>
+            <TrendChart trend={stats.trend} />
+
+            <h3 className="stats-section-title">HARDEST CATEGORIES</h3>
+            {stats.hardestCategories.length === 0 ? (
+              <p className="stats-empty">Play a few rounds per category to rank them.</p>
+            ) : (
+              <ul className="stats-categories">
+                {stats.hardestCategories.slice(0, HARDEST_SHOWN).map((category) => (
+                  <li key={category.category}>
+                    <span className="stats-category-name">{String(category.category).toUpperCase()}</span>
+                    <span className="stats-category-bar">
+                      <span style={{ width: `${category.winRate}%` }} />
+                    </span>
+                    <span>{category.winRate}% · {category.played}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h3 className="stats-section-title">RECENT ROUNDS</h3>
+            <ul className="stats-recent">
+              {recent.map((round) => (
+                <li key={round.id} className={round.won ? "stats-won" : "stats-lost"}>
+                  <span>{String(round.answer || "?").toUpperCase()}</span>
+                  <span>{round.won ? "WON" : round.skipped ? "SKIPPED" : "LOST"}</span>
+                  <span>{round.score} PTS</span>
+                  <span>{round.guesses.length} GUESS{round.guesses.length === 1 ? "" : "ES"}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+});
+
+StatsDashboard.displayName = "StatsDashboard";
+
+export default StatsDashboard;
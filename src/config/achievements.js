@@ -0,0 +1,113 @@
+/**
+ * Achievements, declared as data
+ * Each rule is evaluated by src/lib/achievements.js against the events that
+ * analyticsService emits (game_completed, hint_used, guess_attempt, ...).
+ *
+ *   event     - event name to listen to
+ *   where     - conditions on the event data: a value (equals), an array
+ *               (one of) or { min, max } (range)
+ *   count     - matching events needed (default 1)
+ *   streak    - consecutive matching events of that type (a non-match resets)
+ *   distinct  - data field whose values must cover every entry in `of`
+ *   days      - matching events on that many consecutive days
+ */
+
+import { GAME_CONSTANTS } from "../lib/utils";
+
+export const ACHIEVEMENTS = [
+  {
+    id: "first_win",
+    title: "First Peek",
+    description: "Solve your first round",
+    icon: "👁️",
+    event: "game_completed",
+    where: { correct: true },
+  },
+  {
+    id: "sharp_eye",
+    title: "Sharp Eye",
+    description: "Solve a round on the first attempt",
+    icon: "🎯",
+    event: "game_completed",
+    where: { correct: true, attempts: 1 },
+  },
+  {
+    id: "no_hints",
+    title: "Lone Wolf",
+    description: "Solve a round after a miss without unlocking a hint",
+    icon: "🐺",
+    event: "game_completed",
+    where: { correct: true, hints_used: 0, attempts: { min: 2 } },
+  },
+  {
+    id: "streak_10",
+    title: "On Fire",
+    description: "Solve 10 rounds in a row",
+    icon: "🔥",
+    event: "game_completed",
+    where: { correct: true },
+    streak: 10,
+  },
+  {
+    id: "hard_win",
+    title: "Hard Mode",
+    description: "Solve a round on hard difficulty",
+    icon: "💎",
+    event: "game_completed",
+    where: { correct: true, difficulty: "hard" },
+  },
+  {
+    id: "wins_50",
+    title: "Veteran",
+    description: "Solve 50 rounds",
+    icon: "🏅",
+    event: "game_completed",
+    where: { correct: true },
+    count: 50,
+  },
+  {
+    id: "all_categories",
+    title: "Globetrotter",
+    description: "Solve a round in every category",
+    icon: "🌍",
+    event: "game_completed",
+    where: { correct: true },
+    distinct: "category",
+    of: GAME_CONSTANTS.CATEGORIES,
+  },
+  {
+    id: "daily_week",
+    title: "Perfect Week",
+    description: "Solve the daily puzzle 7 days in a row",
+    icon: "📅",
+    event: "game_completed",
+    where: { correct: true, mode: "daily" },
+    days: 7,
+  },
+  {
+    id: "very_hot",
+    title: "Burning Up",
+    description: "Make a very hot guess",
+    icon: "🌡️",
+    event: "guess_attempt",
+    where: { correct: false, proximity: "very_hot" },
+  },
+  {
+    id: "hints_25",
+    title: "Detective",
+    description: "Read 25 hints",
+    icon: "🔍",
+    event: "hint_used",
+    count: 25,
+  },
+  {
+    id: "blitz_10",
+    title: "Speed Demon",
+    description: "Solve 10 rounds in one blitz run",
+    icon: "⚡",
+    event: "blitz_completed",
+    where: { solved: { min: 10 } },
+  },
+];
+
+export default ACHIEVEMENTS;
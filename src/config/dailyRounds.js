@@ -0,0 +1,103 @@
+/**
+ * Daily Challenge Rounds
+ * Fixed, pre-resolved image/answer list so every player gets the same puzzle.
+ * Day N after DAILY_START plays entry N modulo the list length (see
+ * src/lib/dailyChallenge.js), so the list repeats once it runs out.
+ * Any edit to the list, appending included, remaps every day after the first
+ * wrap-around. When adding rounds, move DAILY_START to the day the new
+ * schedule should begin.
+ */
+
+// First day of the schedule (YYYY-MM-DD in gameConfig.locale.timezone)
+export const DAILY_START = "2024-01-01";
+
+const IMAGE_PARAMS = "w=600&h=600&fit=crop";
+
+export const DAILY_ROUNDS = [
+  {
+    id: "daily-lake-valley",
+    imageUrl: `https://images.unsplash.com/photo-1506744038136-46273834b3fb?${IMAGE_PARAMS}`,
+    answer: "nature",
+    description: "a calm lake in a valley surrounded by rocky mountains",
+    tags: ["lake", "mountains", "valley"],
+  },
+  {
+    id: "daily-grey-cat",
+    imageUrl: `https://images.unsplash.com/photo-1518791841217-8f162f1e1131?${IMAGE_PARAMS}`,
+    answer: "animals",
+    description: "a grey tabby cat looking into the camera",
+    tags: ["cat", "pet", "kitten"],
+  },
+  {
+    id: "daily-laptop-desk",
+    imageUrl: `https://images.unsplash.com/photo-1488590528505-98d2b5aba04b?${IMAGE_PARAMS}`,
+    answer: "technology",
+    description: "an open laptop showing lines of code on a desk",
+    tags: ["laptop", "computer", "code"],
+  },
+  {
+    id: "daily-food-plate",
+    imageUrl: `https://images.unsplash.com/photo-1504674900247-0877df9cc836?${IMAGE_PARAMS}`,
+    answer: "food",
+    description: "a plate of grilled meat with vegetables on a dark table",
+    tags: ["meal", "dinner", "plate"],
+  },
+  {
+    id: "daily-glass-towers",
+    imageUrl: `https://images.unsplash.com/photo-1486406146926-c627a92ad1ab?${IMAGE_PARAMS}`,
+    answer: "architecture",
+    description: "glass skyscrapers seen from below against the sky",
+    tags: ["skyscraper", "building", "tower"],
+  },
+  {
+    id: "daily-portrait",
+    imageUrl: `https://images.unsplash.com/photo-1500648767791-00dcc994a43e?${IMAGE_PARAMS}`,
+    answer: "people",
+    description: "a smiling man in a close-up portrait",
+    tags: ["portrait", "man", "face"],
+  },
+  {
+    id: "daily-workout",
+    imageUrl: `https://images.unsplash.com/photo-1517836357463-d25dfeac3438?${IMAGE_PARAMS}`,
+    answer: "sports",
+    description: "a person training with weights in a gym",
+    tags: ["gym", "fitness", "workout"],
+  },
+  {
+    id: "daily-tropical-beach",
+    imageUrl: `https://images.unsplash.com/photo-1507525428034-b723cf961d3e?${IMAGE_PARAMS}`,
+    answer: "travel",
+    description: "turquoise waves rolling onto a sandy tropical beach",
+    tags: ["beach", "ocean", "sea"],
+  },
+  {
+    id: "daily-gradient",
+    imageUrl: `https://images.unsplash.com/photo-1557672172-298e090bd0f1?${IMAGE_PARAMS}`,
+    answer: "abstract",
+    description: "smooth flowing gradient of purple and orange colors",
+    tags: ["gradient", "colors", "pattern"],
+  },
+  {
+    id: "daily-earth-orbit",
+    imageUrl: `https://images.unsplash.com/photo-1446776811953-b23d57bd21aa?${IMAGE_PARAMS}`,
+    answer: "space",
+    description: "planet earth seen from orbit with the sun on the horizon",
+    tags: ["earth", "planet", "orbit"],
+  },
+  {
+    id: "daily-starry-peaks",
+    imageUrl: `https://images.unsplash.com/photo-1519681393784-d120267933ba?${IMAGE_PARAMS}`,
+    answer: "mountains",
+    description: "snowy mountain peaks under a starry night sky",
+    tags: ["snow", "stars", "peaks"],
+  },
+  {
+    id: "daily-muscle-car",
+    imageUrl: `https://images.unsplash.com/photo-1494976388531-d1058494cdd8?${IMAGE_PARAMS}`,
+    answer: "cars",
+    description: "a shiny classic muscle car parked on the street",
+    tags: ["car", "vehicle", "mustang"],
+  },
+];
+
+export default DAILY_ROUNDS;
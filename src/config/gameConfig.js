@@ -14,8 +14,49 @@ export const gameConfig = {
     maxScore: 100,
   },
 
+  // Game modes
+  modes: {
+    blitz: {
+      duration: 90000, // 90 second budget per run
+      tickInterval: 250,
+      blurPerSecond: 1, // Blur falls automatically while the clock runs
+      timeBonusPerSecond: 1, // Bonus points per remaining second on a correct answer
+      lowTimeWarning: 10000,
+    },
+  },
+
+  // Multi-round sessions
+  session: {
+    comboStep: 0.25, // Multiplier gained per consecutive correct answer
+    maxMultiplier: 3,
+  },
+
+  // Image reveal renderers
+  reveal: {
+    modes: ["blur", "pixelate", "tiles", "spotlight"],
+    defaultSetting: "auto", // "auto" picks per round (theme default or random)
+    themeDefaults: {
+      retro: "pixelate",
+    },
+    canvasSize: 600,
+    pixelate: { maxBlockSize: 60 },
+    tiles: { gridSize: 6, initialReveal: 0.1 },
+    spotlight: { minRadius: 0.12, maxRadius: 0.7, speed: 0.0008 },
+  },
+
   // API configuration
   api: {
+    // "direct": the browser calls Unsplash/Gemini with VITE_* keys
+    // "proxy": calls go through server/proxy.mjs, which holds the keys
+    mode: import.meta.env.VITE_API_MODE || "direct",
+    proxy: {
+      baseUrl: import.meta.env.VITE_API_PROXY_URL || "/api",
+    },
+    // Active image source: "unsplash" | "manifest" | "local"
+    imageProvider: import.meta.env.VITE_IMAGE_PROVIDER || "unsplash",
+    manifest: {
+      url: import.meta.env.VITE_IMAGE_MANIFEST_URL || "/rounds/manifest.json",
+    },
     unsplash: {
       baseUrl: "https://api.unsplash.com",
       endpoint: "/photos/random",
@@ -25,17 +66,71 @@ export const gameConfig = {
     },
     gemini: {
       baseUrl: "https://generativelanguage.googleapis.com",
-      endpoint: "/v1beta/models/gemini-2.0-flash:generateContent",
+      model: "gemini-2.0-flash",
+      // {model} is replaced with the model name
+      endpoint: "/v1beta/models/{model}:generateContent",
       timeout: 10000,
+      // Validation verdicts and hints are cached per prompt inputs
+      cacheTtl: 1000 * 60 * 60 * 24 * 7, // 7 days
+      // Request scheduler (src/lib/aiScheduler.js), sized for the free tier
+      rateLimit: {
+        requestsPerMinute: 15,
+        burst: 5,
+        dailyLimit: 1000,
+        maxWait: 2000, // wait this long for a free slot before falling back to local
+        defaultCooldown: 60000, // pause after a 429 without Retry-After
+      },
     },
   },
 
+  // Unsplash image pools (src/lib/imagePool.js)
+  imagePool: {
+    batchSize: 10, // images per Unsplash request (max 30)
+    minSize: 3, // top up in the background below this
+    historySize: 200, // don't show an image again within the last N rounds
+    ttl: 1000 * 60 * 60 * 24 * 14, // keep pools (and their offline images) for two weeks
+    offlineRounds: 50, // rounds saved by "download for offline"
+  },
+
+  // Finished rounds (src/lib/gameHistory.js), kept outside the evictable cache
+  history: {
+    dbName: "PixelPeekHistory",
+    maxRounds: 5000, // oldest rounds are dropped beyond this
+    minCategoryRounds: 3, // rounds needed before a category can rank as "hardest"
+    trendDays: 30, // days shown in the trend chart
+  },
+
+  // Local leaderboards (src/lib/leaderboard.js)
+  leaderboard: {
+    entriesPerBoard: 10,
+    maxBytes: 64 * 1024, // least recently updated boards are dropped beyond this
+  },
+
+  // Local player profiles (src/lib/profileStore.js)
+  profiles: {
+    defaultName: "PLAYER 1", // name of the profile created for existing data
+    maxProfiles: 8,
+    maxNameLength: 12,
+    avatars: ["👾", "🚀", "🐱", "🦊", "🐸", "🤖", "🧙", "🐼"],
+  },
+
   // Cache configuration
   cache: {
     dbName: "PixelPeekDB",
     storeName: "cache",
     memoryCacheSize: 50,
-    ttl: 1000 * 60 * 60 * 24, // 24 hours
+    ttl: 1000 * 60 * 60 * 24, // 24 hours, for namespaces without their own TTL
+    maxBytes: 100 * 1024 * 1024, // IndexedDB budget before LRU eviction
+    // Per key namespace (prefix before "_"): ttl in ms (null = never expires),
+    // maxBytes = the namespace's own budget, pinned = never evicted
+    namespaces: {
+      img: { ttl: 1000 * 60 * 60 * 24 * 14, maxBytes: 60 * 1024 * 1024 }, // image bytes for offline play
+      unsplash: { ttl: 1000 * 60 * 60 }, // 1 hour, so a category serves fresh images
+      llm: { ttl: 1000 * 60 * 60 * 24 * 7 },
+      pack: { ttl: null, pinned: true },
+      packs: { ttl: null, pinned: true },
+      game: { ttl: null, pinned: true },
+    },
   },
 
   // Hint generation
@@ -51,6 +146,35 @@ export const gameConfig = {
     ],
   },
 
+  // Answer validation
+  validation: {
+    // Unsplash tags that also count as correct answers (besides the category)
+    maxAcceptedTags: 6,
+    minTagLength: 3,
+    // Generic tags that say nothing about the subject
+    ignoredTags: [
+      "hd wallpaper", "wallpaper", "wallpapers", "background", "backgrounds",
+      "free", "free images", "image", "images", "photo", "photos", "photography",
+      "picture", "pictures", "hd", "4k", "desktop", "screensaver", "color", "colour",
+      "grey", "gray", "white", "black", "blue", "green", "red", "brown", "outdoors",
+      "outside", "daytime", "light", "dark", "minimal", "aesthetic", "cool", "beautiful",
+    ],
+  },
+
+  // Warm/cold feedback for wrong guesses (score 0-1, highest matching level wins)
+  proximity: {
+    levels: [
+      { id: "ice_cold", label: "ICE COLD", min: 0 },
+      { id: "cold", label: "COLD", min: 0.2 },
+      { id: "warm", label: "WARM", min: 0.4 },
+      { id: "hot", label: "HOT", min: 0.6 },
+      { id: "very_hot", label: "VERY HOT", min: 0.8 },
+    ],
+    // Context signals when the guess names something in the image but not the answer
+    tagMatchScore: 0.65,
+    descriptionMatchScore: 0.45,
+  },
+
   // Image categories
   categories: [
     "nature",
@@ -87,9 +211,15 @@ export const gameConfig = {
   // Analytics
   analytics: {
     enabled: true,
-    batchSize: 5,
-    batchInterval: 30000, // 30 seconds
+    batchSize: 5, // flush once this many events are queued...
+    batchInterval: 30000, // ...or this long after the first queued event (30 seconds)
     sessionTimeout: 1000 * 60 * 30, // 30 minutes
+    maxQueuedEvents: 500, // events kept in localStorage until they are flushed
+    // Destinations (src/lib/analyticsSinks.js): console, http, indexeddb
+    sinks: (import.meta.env.VITE_ANALYTICS_SINKS || "console").split(",").map((sink) => sink.trim()).filter(Boolean),
+    endpoint: import.meta.env.VITE_ANALYTICS_ENDPOINT || "/api/analytics", // http sink
+    dbName: "PixelPeekAnalytics", // indexeddb sink
+    maxStoredBatches: 200, // indexeddb sink
   },
 
   // Performance
@@ -100,6 +230,11 @@ export const gameConfig = {
     logSlowOperations: true,
   },
 
+  // Offline sync queue (src/lib/offline.js)
+  offline: {
+    maxQueuedItems: 100, // the oldest items are dropped beyond this
+  },
+
   // Feature flags
   features: {
     enableCaching: true,
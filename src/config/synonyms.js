@@ -0,0 +1,71 @@
+/**
+ * Synonym dictionary for answer validation
+ * Keyed by category, then by answer; each answer lists the guesses that
+ * also count as correct. Matching is one-way (answer -> accepted guesses),
+ * so "animals" accepts "dog" but "dog" does not accept "animals".
+ * Image packs and players can add more at runtime (src/lib/synonymDictionary.js).
+ */
+
+export const SYNONYMS = {
+  nature: {
+    nature: ["landscape", "outdoors", "wilderness", "forest", "trees", "scenery", "natural"],
+    forest: ["woods", "woodland", "trees", "jungle"],
+    mountains: ["mountain", "peaks", "peak", "alps", "summit", "range", "hills"],
+    beach: ["shore", "seaside", "coast", "sand"],
+    ocean: ["sea", "waves", "water"],
+    flower: ["flowers", "blossom", "bloom", "plant"],
+  },
+  animals: {
+    animals: ["animal", "wildlife", "creature", "creatures", "pet", "pets", "dog", "puppy", "cat", "kitten", "bird", "fauna"],
+    dog: ["dogs", "puppy", "puppies", "doggy", "hound", "canine", "pup"],
+    cat: ["cats", "kitten", "kitty", "feline"],
+    bird: ["birds", "avian", "fowl"],
+    horse: ["horses", "pony", "stallion", "mare", "foal"],
+  },
+  technology: {
+    technology: ["tech", "computer", "laptop", "electronics", "gadget", "gadgets", "device", "circuit"],
+    computer: ["pc", "laptop", "desktop", "notebook"],
+    phone: ["smartphone", "mobile", "cellphone", "cell phone", "iphone"],
+  },
+  food: {
+    food: ["meal", "dish", "cuisine", "snack", "dinner", "lunch", "breakfast", "cooking"],
+    pizza: ["pizzas", "pie"],
+    burger: ["hamburger", "cheeseburger", "burgers"],
+    coffee: ["espresso", "latte", "cappuccino"],
+  },
+  architecture: {
+    architecture: ["building", "buildings", "structure", "skyscraper", "house", "tower", "facade"],
+    bridge: ["bridges", "overpass", "viaduct"],
+    church: ["cathedral", "chapel", "basilica"],
+  },
+  people: {
+    people: ["person", "human", "humans", "crowd", "man", "woman", "portrait", "persons"],
+    portrait: ["face", "headshot", "selfie"],
+  },
+  art: {
+    art: ["artwork", "painting", "drawing", "illustration", "mural", "graffiti", "sculpture"],
+    painting: ["paintings", "canvas", "artwork"],
+  },
+  sports: {
+    sports: ["sport", "athletics", "game", "athlete", "football", "soccer", "basketball", "tennis"],
+    football: ["soccer"],
+    soccer: ["football"],
+    bicycle: ["bike", "cycling", "cycle"],
+  },
+  travel: {
+    travel: ["trip", "vacation", "holiday", "journey", "tourism", "destination", "adventure"],
+    airplane: ["plane", "aircraft", "jet", "aeroplane"],
+  },
+  abstract: {
+    abstract: ["pattern", "shapes", "texture", "geometric", "gradient"],
+  },
+  space: {
+    space: ["cosmos", "universe", "galaxy", "stars", "outer space", "nebula", "astronomy", "night sky"],
+    moon: ["lunar", "full moon"],
+    planet: ["planets", "earth", "mars"],
+  },
+  cars: {
+    cars: ["car", "automobile", "automobiles", "vehicle", "vehicles", "auto", "autos", "sports car"],
+    truck: ["trucks", "lorry", "pickup"],
+  },
+};
@@ -1,4 +1,6 @@
 import React, { createContext, useContext, useReducer, useCallback, useEffect } from "react";
+import { gameConfig } from "../config/gameConfig";
+import { profileStorage } from "../lib/profileStore";
 
 // Create the context
 const GameContext = createContext(null);
@@ -17,30 +19,103 @@ export const GAME_ACTIONS = {
   DECREMENT_SCORE: "DECREMENT_SCORE",
   SET_SCORE: "SET_SCORE",
   REVEAL_ANSWER: "REVEAL_ANSWER",
-  SET_HIGH_SCORE: "SET_HIGH_SCORE",
   RESET_GAME: "RESET_GAME",
   SET_LABEL: "SET_LABEL",
   SET_DESC: "SET_DESC",
   SET_PREVIOUS_HINTS: "SET_PREVIOUS_HINTS",
+  SET_DIFFICULTY: "SET_DIFFICULTY",
+  SET_MODE: "SET_MODE",
+  SET_ROUND: "SET_ROUND",
+  SET_VALIDATING: "SET_VALIDATING",
+  START_BLITZ: "START_BLITZ",
+  TICK_TIMER: "TICK_TIMER",
+  END_BLITZ: "END_BLITZ",
+  SET_REVEAL_SETTING: "SET_REVEAL_SETTING",
+  SET_ACTIVE_PACK: "SET_ACTIVE_PACK",
+  ADD_GUESS: "ADD_GUESS",
 };
 
+// Game modes
+export const GAME_MODES = {
+  CLASSIC: "classic",
+  DAILY: "daily",
+  BLITZ: "blitz",
+};
+
+// Keys in the active profile's storage (src/lib/profileStore.js)
+const DIFFICULTY_STORAGE_KEY = "difficulty";
+const REVEAL_STORAGE_KEY = "reveal";
+const PACK_STORAGE_KEY = "active_pack";
+export const DEFAULT_DIFFICULTY = "normal";
+export const DIFFICULTY_LEVELS = Object.keys(gameConfig.difficulty);
+export const REVEAL_SETTINGS = ["auto", ...gameConfig.reveal.modes];
+
+/**
+ * Resolve a difficulty name to its preset in gameConfig.difficulty
+ * Unknown names fall back to the default preset
+ */
+export function getDifficultyPreset(difficulty) {
+  return gameConfig.difficulty[difficulty] || gameConfig.difficulty[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Fresh per-round state for the given difficulty
+ */
+function createRoundState(difficulty) {
+  return {
+    imageUrl: "",
+    desc: "",
+    label: "",
+    guess: "",
+    score: gameConfig.mechanics.initialScore,
+    attempts: 0,
+    revealed: false,
+    loading: true,
+    blur: getDifficultyPreset(difficulty).initialBlur,
+    hint: "Analyzing data...",
+    hintLevel: 0,
+    previousHints: [],
+    guessHistory: [],
+    round: {},
+    validating: false,
+  };
+}
+
 // Initial state
 const initialState = {
-  imageUrl: "",
-  desc: "",
-  label: "",
-  guess: "",
-  score: 100,
-  attempts: 0,
-  revealed: false,
-  loading: true,
-  blur: 20,
-  hint: "Analyzing data...",
-  hintLevel: 0,
-  previousHints: [],
-  highScore: 0,
+  ...createRoundState(DEFAULT_DIFFICULTY),
+  difficulty: DEFAULT_DIFFICULTY,
+  mode: GAME_MODES.CLASSIC,
+  timer: { remaining: 0 },
+  blitz: { finished: false },
+  revealSetting: gameConfig.reveal.defaultSetting,
+  activePackId: null,
 };
 
+/**
+ * Build the initial state, restoring persisted difficulty, reveal setting and pack
+ */
+function loadInitialState(baseState) {
+  let state = baseState;
+
+  const storedDifficulty = profileStorage.get(DIFFICULTY_STORAGE_KEY);
+  if (storedDifficulty && DIFFICULTY_LEVELS.includes(storedDifficulty)) {
+    state = { ...state, ...createRoundState(storedDifficulty), difficulty: storedDifficulty };
+  }
+
+  const storedReveal = profileStorage.get(REVEAL_STORAGE_KEY);
+  if (storedReveal && REVEAL_SETTINGS.includes(storedReveal)) {
+    state = { ...state, revealSetting: storedReveal };
+  }
+
+  const storedPack = profileStorage.get(PACK_STORAGE_KEY);
+  if (storedPack) {
+    state = { ...state, activePackId: storedPack };
+  }
+
+  return state;
+}
+
 // Reducer function
 function gameReducer(state, action) {
   switch (action.type) {
@@ -66,29 +141,55 @@ function gameReducer(state, action) {
       return { ...state, score: action.payload };
     case GAME_ACTIONS.REVEAL_ANSWER:
       return { ...state, revealed: true, blur: 0 };
-    case GAME_ACTIONS.SET_HIGH_SCORE:
-      return { ...state, highScore: action.payload };
     case GAME_ACTIONS.SET_LABEL:
       return { ...state, label: action.payload };
     case GAME_ACTIONS.SET_DESC:
       return { ...state, desc: action.payload };
+    case GAME_ACTIONS.ADD_GUESS:
+      // Wrong guesses of this round with their warm/cold proximity
+      return { ...state, guessHistory: [...state.guessHistory, action.payload] };
     case GAME_ACTIONS.SET_PREVIOUS_HINTS:
       return { ...state, previousHints: action.payload };
+    case GAME_ACTIONS.SET_DIFFICULTY:
+      if (!DIFFICULTY_LEVELS.includes(action.payload)) return state;
+      return { ...state, difficulty: action.payload };
+    case GAME_ACTIONS.SET_MODE:
+      if (!Object.values(GAME_MODES).includes(action.payload)) return state;
+      return { ...state, mode: action.payload };
+    case GAME_ACTIONS.SET_ROUND:
+      // Round metadata (image id, category, source, daily key, ...)
+      return { ...state, round: { ...state.round, ...action.payload } };
+    case GAME_ACTIONS.SET_REVEAL_SETTING:
+      if (!REVEAL_SETTINGS.includes(action.payload)) return state;
+      return { ...state, revealSetting: action.payload };
+    case GAME_ACTIONS.SET_ACTIVE_PACK:
+      // null = use the default image provider
+      return { ...state, activePackId: action.payload || null };
+    case GAME_ACTIONS.SET_VALIDATING:
+      return { ...state, validating: action.payload };
+    case GAME_ACTIONS.START_BLITZ:
+      return {
+        ...state,
+        timer: { remaining: gameConfig.modes.blitz.duration },
+        blitz: { finished: false },
+      };
+    case GAME_ACTIONS.TICK_TIMER: {
+      // Time runs down and the image sharpens on its own
+      const elapsed = action.payload;
+      const blurDrop = (gameConfig.modes.blitz.blurPerSecond * elapsed) / 1000;
+      return {
+        ...state,
+        timer: { remaining: Math.max(0, state.timer.remaining - elapsed) },
+        blur: state.revealed ? state.blur : Math.max(0, state.blur - blurDrop),
+      };
+    }
+    case GAME_ACTIONS.END_BLITZ:
+      return { ...state, blitz: { ...state.blitz, finished: true } };
     case GAME_ACTIONS.RESET_GAME:
+      // Keep session-level fields (difficulty, mode), reset the round
       return {
-        imageUrl: "",
-        desc: "",
-        label: "",
-        guess: "",
-        score: 100,
-        attempts: 0,
-        revealed: false,
-        loading: true,
-        blur: 20,
-        hint: "Analyzing data...",
-        hintLevel: 0,
-        previousHints: [],
-        highScore: state.highScore,
+        ...state,
+        ...createRoundState(state.difficulty),
       };
     default:
       return state;
@@ -97,22 +198,26 @@ function gameReducer(state, action) {
 
 // Context Provider Component
 export function GameProvider({ children }) {
-  const [state, dispatch] = useReducer(gameReducer, initialState);
+  const [state, dispatch] = useReducer(gameReducer, initialState, loadInitialState);
 
-  // Load high score from localStorage on mount
+  // Persist the chosen difficulty
   useEffect(() => {
-    const stored = localStorage.getItem("pixelpeek_highscore");
-    if (stored) {
-      dispatch({ type: GAME_ACTIONS.SET_HIGH_SCORE, payload: parseInt(stored, 10) });
-    }
-  }, []);
+    profileStorage.set(DIFFICULTY_STORAGE_KEY, state.difficulty);
+  }, [state.difficulty]);
+
+  // Persist the chosen reveal renderer
+  useEffect(() => {
+    profileStorage.set(REVEAL_STORAGE_KEY, state.revealSetting);
+  }, [state.revealSetting]);
 
-  // Save high score whenever it changes
+  // Persist the selected image pack
   useEffect(() => {
-    if (state.highScore > 0) {
-      localStorage.setItem("pixelpeek_highscore", String(state.highScore));
+    if (state.activePackId) {
+      profileStorage.set(PACK_STORAGE_KEY, state.activePackId);
+    } else {
+      profileStorage.remove(PACK_STORAGE_KEY);
     }
-  }, [state.highScore]);
+  }, [state.activePackId]);
 
   return (
     <GameContext.Provider value={state}>
@@ -0,0 +1,123 @@
+import React, { createContext, useContext, useReducer, useCallback, useMemo } from "react";
+import { gameConfig } from "../config/gameConfig";
+
+/**
+ * Session layer on top of GameContext
+ * Counts rounds across a run, tracks consecutive correct answers and
+ * applies a growing combo multiplier to each round's score.
+ */
+
+const SessionContext = createContext(null);
+
+// Action types
+export const SESSION_ACTIONS = {
+  ROUND_WON: "ROUND_WON",
+  ROUND_MISSED: "ROUND_MISSED",
+  END_SESSION: "END_SESSION",
+  RESET_SESSION: "RESET_SESSION",
+};
+
+const initialSessionState = {
+  rounds: 0,
+  wins: 0,
+  streak: 0,
+  bestStreak: 0,
+  total: 0,
+  lastPoints: 0,
+  ended: false,
+};
+
+/**
+ * Combo multiplier for a streak of consecutive correct answers
+ */
+export function getComboMultiplier(streak) {
+  const { comboStep, maxMultiplier } = gameConfig.session;
+  return Math.min(maxMultiplier, 1 + streak * comboStep);
+}
+
+// Reducer function
+function sessionReducer(state, action) {
+  // The first round after a finished run starts a new session
+  const current = state.ended ? initialSessionState : state;
+
+  switch (action.type) {
+    case SESSION_ACTIONS.ROUND_WON: {
+      const streak = current.streak + 1;
+      return {
+        ...current,
+        rounds: current.rounds + 1,
+        wins: current.wins + 1,
+        streak,
+        bestStreak: Math.max(current.bestStreak, streak),
+        total: current.total + action.payload,
+        lastPoints: action.payload,
+      };
+    }
+    case SESSION_ACTIONS.ROUND_MISSED:
+      return {
+        ...current,
+        rounds: current.rounds + 1,
+        streak: 0,
+        lastPoints: 0,
+      };
+    case SESSION_ACTIONS.END_SESSION:
+      return { ...state, streak: 0, ended: true };
+    case SESSION_ACTIONS.RESET_SESSION:
+      return initialSessionState;
+    default:
+      return state;
+  }
+}
+
+// Context Provider Component
+export function SessionProvider({ children }) {
+  const [session, sessionDispatch] = useReducer(sessionReducer, initialSessionState);
+
+  /**
+   * Record a correct round; returns the points awarded after the combo multiplier
+   */
+  const recordWin = useCallback((baseScore) => {
+    const streak = session.ended ? 0 : session.streak;
+    const points = Math.round(baseScore * getComboMultiplier(streak));
+    sessionDispatch({ type: SESSION_ACTIONS.ROUND_WON, payload: points });
+    return points;
+  }, [session.ended, session.streak]);
+
+  // A failed or skipped round breaks the streak
+  const recordMiss = useCallback(() => {
+    sessionDispatch({ type: SESSION_ACTIONS.ROUND_MISSED });
+  }, []);
+
+  // Game over / time up: the next round starts a fresh session
+  const endSession = useCallback(() => {
+    sessionDispatch({ type: SESSION_ACTIONS.END_SESSION });
+  }, []);
+
+  const resetSession = useCallback(() => {
+    sessionDispatch({ type: SESSION_ACTIONS.RESET_SESSION });
+  }, []);
+
+  const value = useMemo(() => ({
+    session,
+    multiplier: getComboMultiplier(session.ended ? 0 : session.streak),
+    recordWin,
+    recordMiss,
+    endSession,
+    resetSession,
+  }), [session, recordWin, recordMiss, endSession, resetSession]);
+
+  return (
+    <SessionContext.Provider value={value}>
+      {children}
+    </SessionContext.Provider>
+  );
+}
+
+// Custom hook to use session context
+export function useSession() {
+  const context = useContext(SessionContext);
+  if (!context) {
+    throw new Error("useSession must be used within SessionProvider");
+  }
+  return context;
+}
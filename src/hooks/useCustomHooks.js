@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { cacheManager } from "../lib/cacheManager";
 
 /**
  * useLocalStorage: Sync state with localStorage
@@ -106,6 +107,26 @@ export function useThrottle(callback, delay = 200) {
   }, [callback, delay]);
 }
 
+/**
+ * useInterval: Run a callback on an interval
+ * @param {Function} callback - function to run each tick
+ * @param {number|null} delay - interval in ms, or null to pause
+ */
+export function useInterval(callback, delay) {
+  const savedCallback = useRef(callback);
+
+  useEffect(() => {
+    savedCallback.current = callback;
+  }, [callback]);
+
+  useEffect(() => {
+    if (delay === null || delay === undefined) return;
+
+    const id = setInterval(() => savedCallback.current(), delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}
+
 /**
  * useIntersectionObserver: Detect when element is visible
  * @param {React.RefObject} ref - element ref
@@ -220,3 +241,62 @@ export function useIsMounted() {
 
   return isMounted;
 }
+
+/**
+ * useCachedImageUrl: Serve an image from its stored bytes when available
+ * Resolves to an object URL for cached images, or the original URL otherwise;
+ * null while the cache is being checked. The object URL is released on change/unmount.
+ * @param {string} url - image URL
+ * @returns {string|null} URL to render
+ */
+export function useCachedImageUrl(url) {
+  const [resolved, setResolved] = useState({ url: null, src: null });
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    let cancelled = false;
+    let acquired = false;
+
+    cacheManager.getImageUrl(url)
+      .catch(() => null)
+      .then((objectUrl) => {
+        acquired = Boolean(objectUrl);
+        if (cancelled) {
+          if (acquired) cacheManager.releaseImageUrl(url);
+          return;
+        }
+        setResolved({ url, src: objectUrl || url });
+      });
+
+    return () => {
+      cancelled = true;
+      if (acquired) cacheManager.releaseImageUrl(url);
+    };
+  }, [url]);
+
+  if (!url) return null;
+  return resolved.url === url ? resolved.src : null;
+}
+
+/**
+ * useOnlineStatus: Track the browser's network connection
+ * @returns {boolean} is online
+ */
+export function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
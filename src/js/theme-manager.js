@@ -1,9 +1,9 @@
 /**
  * PixelPeek Theme Manager
- * Core theme system logic with localStorage persistence and CSS lazy-loading.
+ * Core theme system logic with per-profile persistence and CSS lazy-loading.
  * 
  * Manages:
- * - Theme persistence (localStorage)
+ * - Theme persistence (active profile's storage)
  * - CSS lazy-loading with timeout protection
  * - Font lazy-loading for theme-specific fonts
  * - Starfield canvas attach/detach for retro theme
@@ -13,8 +13,10 @@
  * NO page reloads on theme change
  */
 
+import { profileStorage } from '../lib/profileStore.js';
+
 class ThemeManager {
-  static STORAGE_KEY = 'pixelpeekTheme';
+  static STORAGE_KEY = 'theme';
   static DEFAULT_THEME = 'retro';
   static VALID_THEMES = ['retro', 'minimal', 'scifi'];
   static CSS_TIMEOUT = 5000; // 5 seconds
@@ -24,8 +26,7 @@ class ThemeManager {
    * Load saved theme or use default
    */
   static init() {
-    const savedTheme = this._getSavedTheme();
-    this.applyTheme(savedTheme);
+    this.applySavedTheme();
     this._preloadOtherThemeCss();
     this._setupFontPreloading();
   }
@@ -43,7 +44,7 @@ class ThemeManager {
       themeName = this.DEFAULT_THEME;
     }
 
-    // Save to localStorage
+    // Save to the active profile
     this._saveTheme(themeName);
 
     // Apply to DOM
@@ -56,6 +57,13 @@ class ThemeManager {
     this._notifyChange(themeName);
   }
 
+  /**
+   * Re-apply the saved theme (e.g. after switching profiles)
+   */
+  static applySavedTheme() {
+    this.applyTheme(this._getSavedTheme());
+  }
+
   /**
    * Get currently applied theme
    * @returns {string} Current theme name
@@ -87,12 +95,12 @@ class ThemeManager {
   // ============================================
 
   /**
-   * Get saved theme from localStorage
+   * Get the active profile's saved theme
    * @returns {string} Saved theme or default
    * @private
    */
   static _getSavedTheme() {
-    const saved = localStorage.getItem(this.STORAGE_KEY);
+    const saved = profileStorage.get(this.STORAGE_KEY);
     if (saved && this.VALID_THEMES.includes(saved)) {
       return saved;
     }
@@ -100,15 +108,15 @@ class ThemeManager {
   }
 
   /**
-   * Save theme to localStorage
+   * Save theme to the active profile
    * @param {string} themeName - Theme to save
    * @private
    */
   static _saveTheme(themeName) {
     try {
-      localStorage.setItem(this.STORAGE_KEY, themeName);
+      profileStorage.set(this.STORAGE_KEY, themeName);
     } catch (error) {
-      console.warn('[ThemeManager] Failed to save theme to localStorage:', error);
+      console.warn('[ThemeManager] Failed to save theme:', error);
     }
   }
 
@@ -4,7 +4,7 @@
  * 
  * Features:
  * - First-run theme selection modal (full-screen)
- * - Persistent UI state (uses localStorage to track if modal shown)
+ * - Persistent UI state (tracks per profile if the modal was shown)
  * - In-game theme switcher (palette button in header)
  * - Theme preview with current game image as thumbnail
  * - NO Unsplash API calls
@@ -12,9 +12,10 @@
  */
 
 import ThemeManager from './theme-manager.js';
+import { profileStorage } from '../lib/profileStore.js';
 
 class ThemeUI {
-  static MODAL_SHOWN_KEY = 'pixelpeekThemeModalShown';
+  static MODAL_SHOWN_KEY = 'theme_modal_shown';
   static THEME_DEFINITIONS = {
     retro: {
       label: 'RETRO',
@@ -39,7 +40,7 @@ class ThemeUI {
    */
   static showSelection() {
     // Check if modal already shown
-    const alreadyShown = localStorage.getItem(this.MODAL_SHOWN_KEY) === 'true';
+    const alreadyShown = profileStorage.get(this.MODAL_SHOWN_KEY) === true;
     if (alreadyShown) {
       return;
     }
@@ -428,7 +429,7 @@ class ThemeUI {
    */
   static _markModalShown() {
     try {
-      localStorage.setItem(this.MODAL_SHOWN_KEY, 'true');
+      profileStorage.set(this.MODAL_SHOWN_KEY, true);
     } catch (error) {
       console.warn('[ThemeUI] Failed to mark modal as shown:', error);
     }
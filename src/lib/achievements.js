@@ -0,0 +1,171 @@
+/**
+ * Achievement Engine: evaluates the rules in src/config/achievements.js
+ * against analyticsService events and persists progress and unlocks
+ * for the active profile.
+ * Listeners (e.g. the unlock toast) are told about every new unlock.
+ */
+
+import { ACHIEVEMENTS } from "../config/achievements";
+import { analyticsService } from "./logger";
+import { getDailyKey, getPreviousDailyKey } from "./dailyChallenge";
+import { profileStorage } from "./profileStore";
+
+const STORAGE_KEY = "achievements"; // in the active profile's storage
+
+/**
+ * Whether event data satisfies a rule's `where` conditions
+ */
+export function matchesConditions(where = {}, data = {}) {
+  return Object.entries(where).every(([field, condition]) => {
+    const value = data[field];
+    if (Array.isArray(condition)) return condition.includes(value);
+    if (condition && typeof condition === "object") {
+      if (typeof value !== "number") return false;
+      return (condition.min === undefined || value >= condition.min) &&
+        (condition.max === undefined || value <= condition.max);
+    }
+    return value === condition;
+  });
+}
+
+/**
+ * Target and current value of a rule's progress
+ */
+function getProgressValue(rule, progress = {}) {
+  if (rule.distinct) return { current: (progress.values || []).length, target: rule.of.length };
+  if (rule.days) return { current: progress.run || 0, target: rule.days };
+  if (rule.streak) return { current: progress.run || 0, target: rule.streak };
+  return { current: progress.count || 0, target: rule.count || 1 };
+}
+
+/**
+ * Apply one event to a rule's progress
+ * @returns {Object} the next progress state
+ */
+function advance(rule, progress = {}, event) {
+  const matched = matchesConditions(rule.where, event.data);
+
+  if (rule.streak) {
+    return { run: matched ? (progress.run || 0) + 1 : 0 };
+  }
+  if (!matched) return progress;
+
+  if (rule.distinct) {
+    const value = event.data[rule.distinct];
+    const values = progress.values || [];
+    return rule.of.includes(value) && !values.includes(value) ? { values: [...values, value] } : progress;
+  }
+  if (rule.days) {
+    const day = getDailyKey(new Date(event.timestamp));
+    if (progress.lastDay === day) return progress;
+    const run = progress.lastDay === getPreviousDailyKey(day) ? (progress.run || 0) + 1 : 1;
+    return { lastDay: day, run };
+  }
+  return { count: (progress.count || 0) + 1 };
+}
+
+class AchievementEngine {
+  constructor(rules = ACHIEVEMENTS) {
+    this.rules = rules;
+    this.listeners = new Set();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Persisted state: { unlocked: { [id]: timestamp }, progress: { [id]: {...} } }
+   */
+  loadState() {
+    const stored = profileStorage.get(STORAGE_KEY);
+    return { unlocked: stored?.unlocked || {}, progress: stored?.progress || {} };
+  }
+
+  saveState(state) {
+    profileStorage.set(STORAGE_KEY, state);
+  }
+
+  /**
+   * Start listening to analytics events (idempotent)
+   */
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = analyticsService.subscribe((event) => this.handleEvent(event));
+    }
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Evaluate every locked rule for the event's type
+   * @returns {Array} achievements unlocked by this event
+   */
+  handleEvent(event) {
+    const rules = this.rules.filter((rule) => rule.event === event.name);
+    if (rules.length === 0) return [];
+
+    const state = this.loadState();
+    const unlockedNow = [];
+
+    rules.forEach((rule) => {
+      if (state.unlocked[rule.id]) return;
+
+      const progress = advance(rule, state.progress[rule.id], event);
+      const { current, target } = getProgressValue(rule, progress);
+
+      if (current >= target) {
+        state.unlocked[rule.id] = event.timestamp || Date.now();
+        delete state.progress[rule.id];
+        unlockedNow.push(rule);
+      } else {
+        state.progress[rule.id] = progress;
+      }
+    });
+
+    this.saveState(state);
+    unlockedNow.forEach((achievement) => this.listeners.forEach((listener) => listener(achievement)));
+    return unlockedNow;
+  }
+
+  /**
+   * All achievements with their status, for the badge gallery
+   * @returns {Array<{ id, title, description, icon, unlocked, unlockedAt, current, target }>}
+   */
+  getAchievements() {
+    const state = this.loadState();
+    return this.rules.map((rule) => {
+      const unlockedAt = state.unlocked[rule.id] || null;
+      const { current, target } = getProgressValue(rule, state.progress[rule.id]);
+      return {
+        id: rule.id,
+        title: rule.title,
+        description: rule.description,
+        icon: rule.icon,
+        unlocked: Boolean(unlockedAt),
+        unlockedAt,
+        current: unlockedAt ? target : Math.min(current, target),
+        target,
+      };
+    });
+  }
+
+  /**
+   * Subscribe to unlocks: (achievement) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Forget all progress and unlocks
+   */
+  reset() {
+    profileStorage.remove(STORAGE_KEY);
+  }
+}
+
+// Singleton instance
+export const achievementEngine = new AchievementEngine();
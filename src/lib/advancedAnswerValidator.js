@@ -4,7 +4,22 @@
  * Uses Google Gemini API for intelligent answer validation
  */
 
-import { generateHintFromAI } from "./gemini.js";
+import { generateText, generateJSON, cachedRequest, isLLMConfigured, LLM_ERROR_TYPES } from "./llmClient";
+import { getAliases } from "./synonymDictionary";
+import { canonicalize, compactForm, normalizeText, tokenize } from "./textNormalizer";
+import { gameConfig } from "../config/gameConfig";
+
+// Structured output for the Gemini semantic check
+const VALIDATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    isValid: { type: "BOOLEAN" },
+    confidence: { type: "NUMBER" },
+    similarity: { type: "NUMBER" },
+    reasoning: { type: "STRING" },
+  },
+  required: ["isValid", "confidence", "similarity"],
+};
 
 /**
  * Calculate Levenshtein distance for fuzzy matching
@@ -24,7 +39,7 @@ function levenshteinDistance(str1, str2) {
       const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
       matrix[j][i] = Math.min(
         matrix[j][i - 1] + 1,
-        matrix[j][i] + 1,
+        matrix[j - 1][i] + 1,
         matrix[j - 1][i - 1] + indicator
       );
     }
@@ -33,17 +48,6 @@ function levenshteinDistance(str1, str2) {
   return matrix[len2][len1];
 }
 
-/**
- * Tokenize and normalize text for comparison
- */
-function tokenizeAndNormalize(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, "")
-    .split(/\s+/)
-    .filter((t) => t.length > 0);
-}
-
 /**
  * Calculate Jaccard similarity (word overlap)
  */
@@ -70,15 +74,21 @@ function fuzzyMatchScore(guess, answer) {
 
 /**
  * Validate answer using multiple strategies with STRICT thresholds
- * Returns { isValid, confidence, reasoning, strategy }
+ * `options.aliases` lists extra accepted spellings for this round (e.g. from an image pack)
+ * `options.category` scopes the synonym dictionary lookup
+ * `options.semantic: false` skips the Gemini fallback (local strategies only)
+ * `options.signal` cancels the Gemini fallback
+ * Returns { isValid, confidence, reasoning, strategy } (+ semanticConfidence on rejection)
  */
 export async function validateAnswerAdvanced(
   userGuess,
   correctAnswer,
-  imageDescription
+  imageDescription,
+  options = {}
 ) {
-  const normalizedGuess = userGuess.toLowerCase().trim();
-  const normalizedAnswer = correctAnswer.toLowerCase().trim();
+  // Every strategy compares canonical forms: accents folded, hyphens split, plurals singularized
+  const normalizedGuess = canonicalize(userGuess);
+  const normalizedAnswer = canonicalize(correctAnswer);
 
   // REJECT empty guesses
   if (!normalizedGuess || normalizedGuess.length === 0) {
@@ -102,6 +112,33 @@ export async function validateAnswerAdvanced(
     };
   }
 
+  // Strategy 1b: Same word up to plurals and spacing ("buildings", "sun-rise", "sunrises")
+  if (compactForm(userGuess) === compactForm(correctAnswer)) {
+    return {
+      isValid: true,
+      confidence: 0.98,
+      reasoning: "Same word after normalization",
+      strategy: "NORMALIZED",
+      score: 98,
+    };
+  }
+
+  // Strategy 1c: Known alias (round aliases + synonym dictionary) - no network needed
+  // The dictionary is keyed by the plain answer text; aliases are compared in canonical form
+  const aliases = [
+    ...(options.aliases || []),
+    ...getAliases(normalizeText(correctAnswer), options.category),
+  ].map(canonicalize);
+  if (aliases.includes(normalizedGuess)) {
+    return {
+      isValid: true,
+      confidence: 1.0,
+      reasoning: "Known alias",
+      strategy: "ALIAS",
+      score: 100,
+    };
+  }
+
   // Strategy 2: Substring matching - ONLY if significant overlap
   if (
     normalizedGuess.includes(normalizedAnswer) ||
@@ -135,8 +172,8 @@ export async function validateAnswerAdvanced(
   }
 
   // Strategy 4: Token-based Jaccard similarity - VERY STRICT
-  const guessTokens = tokenizeAndNormalize(normalizedGuess);
-  const answerTokens = tokenizeAndNormalize(normalizedAnswer);
+  const guessTokens = tokenize(normalizedGuess);
+  const answerTokens = tokenize(normalizedAnswer);
   const jaccardScore = jaccardSimilarity(guessTokens, answerTokens);
 
   // ONLY accept if tokens have significant overlap AND both have similar word count
@@ -154,12 +191,24 @@ export async function validateAnswerAdvanced(
   }
 
   // Strategy 5: Gemini semantic validation - ONLY fallback
+  // Gemini's similarity for a rejected guess feeds the warm/cold feedback
+  let semanticConfidence = null;
+  if (options.semantic === false || !isLLMConfigured()) {
+    return {
+      isValid: false,
+      confidence: Math.max(fuzzyScore, jaccardScore),
+      reasoning: "No local match",
+      strategy: "REJECTED",
+      score: 0,
+    };
+  }
+
   try {
     const validationPrompt = `EXTREMELY STRICT IMAGE GUESSING VALIDATOR.
 
 Image description: "${imageDescription}"
 Correct answer: "${correctAnswer}"
-User guess: "${normalizedGuess}"
+User guess: "${userGuess.trim()}"
 
 REJECTION RULES (if ANY apply, answer is WRONG):
 1. Guess is vague or generic (e.g., "thing", "object", "picture")
@@ -170,43 +219,36 @@ REJECTION RULES (if ANY apply, answer is WRONG):
 ONLY accept if the guess describes essentially THE SAME THING.
 Be EXTREMELY STRICT. Default to rejection.
 
-Respond with ONLY valid JSON:
-{"isValid": boolean, "confidence": 0.0-1.0, "reasoning": ""}`;
-
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${import.meta.env.VITE_GEMINI_API_KEY}`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: validationPrompt }] }],
-        }),
-      }
+"similarity" rates how close the guess is in meaning, even when it is wrong
+(0 = unrelated, 0.5 = same broad topic, 0.9 = near miss).
+
+Respond with JSON: {"isValid": boolean, "confidence": 0.0-1.0, "similarity": 0.0-1.0, "reasoning": ""}`;
+
+    // Verdicts are cached per (guess, answer, description) - everything the
+    // prompt depends on - so a repeated guess on the same image is sent once
+    const result = await cachedRequest(
+      "validation",
+      { guess: normalizedGuess, answer: normalizedAnswer, description: imageDescription },
+      () => generateJSON(validationPrompt, VALIDATION_SCHEMA, { signal: options.signal })
     );
 
-    if (response.ok) {
-      const data = await response.json();
-      const content = data?.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
-      try {
-        const result = JSON.parse(content);
-        // VERY STRICT: Only accept if Gemini says valid AND confidence is VERY HIGH (0.85+)
-        if (result.isValid && (result.confidence || 0) >= 0.85) {
-          return {
-            isValid: true,
-            confidence: result.confidence || 0.5,
-            reasoning: result.reasoning || "Gemini validation",
-            strategy: "GEMINI_SEMANTIC",
-            score: Math.round((result.confidence || 0.5) * 100),
-          };
-        }
-      } catch (parseErr) {
-        console.warn("Gemini response parsing failed:", parseErr);
-      }
+    // VERY STRICT: Only accept if Gemini says valid AND confidence is VERY HIGH (0.85+)
+    if (result.isValid && (result.confidence || 0) >= 0.85) {
+      return {
+        isValid: true,
+        confidence: result.confidence || 0.5,
+        reasoning: result.reasoning || "Gemini validation",
+        strategy: "GEMINI_SEMANTIC",
+        score: Math.round((result.confidence || 0.5) * 100),
+      };
+    }
+    if (typeof result.similarity === "number") {
+      semanticConfidence = Math.min(1, Math.max(0, result.similarity));
     }
   } catch (err) {
-    console.warn("Gemini validation error:", err);
+    // Cancelled checks propagate; any other AI failure just means "no semantic match"
+    if (err.type === LLM_ERROR_TYPES.ABORTED) throw err;
+    console.warn(`Gemini validation error (${err.type || "UNKNOWN"}):`, err.message);
   }
 
   // No match found - REJECT
@@ -216,18 +258,21 @@ Respond with ONLY valid JSON:
     reasoning: "Guess does not match answer",
     strategy: "REJECTED",
     score: 0,
+    semanticConfidence,
   };
 }
 
 /**
  * Generate contextual hints based on user's incorrect guess
  * Helps guide them toward the correct answer
+ * Throws an LLMError on failure so the caller can fall back to a standard or local hint
  */
 export async function generateContextualHint(
   userGuess,
   correctAnswer,
   imageDescription,
-  hintLevel
+  hintLevel,
+  options = {}
 ) {
   const hintPrompt = `The user guessed "${userGuess}" but the correct answer is "${correctAnswer}".
 Image description: "${imageDescription}"
@@ -236,53 +281,81 @@ Hint level: ${hintLevel} (1-5, where 5 is closest to answer)
 Generate a helpful hint that guides them without giving away the answer. Keep it under 15 words.
 Make it cryptic but directional at level ${hintLevel}.`;
 
-  try {
-    const response = await fetch(
-      "https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent",
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "x-goog-api-key": import.meta.env.VITE_GEMINI_API_KEY,
-        },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: hintPrompt }] }],
-        }),
-      }
-    );
-
-    if (response.ok) {
-      const data = await response.json();
-      const hint = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+  return cachedRequest(
+    "contextual_hint",
+    { guess: canonicalize(userGuess), answer: canonicalize(correctAnswer), imageDescription, hintLevel },
+    async () => {
+      const hint = await generateText(hintPrompt, {
+        signal: options.signal,
+        timeout: gameConfig.hints.generationTimeout,
+      });
       return hint.replace(/^["']|["']$/g, "").trim();
     }
-  } catch (err) {
-    console.warn("Contextual hint generation failed:", err);
+  );
+}
+
+/**
+ * Build the accepted answers for a round: the primary answer first, then
+ * descriptive image tags (generic or duplicate tags are dropped)
+ */
+export function buildAcceptedAnswers(primaryAnswer, tags = []) {
+  const { maxAcceptedTags, minTagLength, ignoredTags } = gameConfig.validation;
+  const primary = String(primaryAnswer || "").toLowerCase().trim();
+  const accepted = [primary];
+  const seen = new Set([canonicalize(primary)]);
+
+  for (const tag of tags) {
+    const answer = String(tag || "").toLowerCase().trim();
+    // "dogs" and "dog" are the same answer
+    const canonical = canonicalize(answer);
+    if (
+      answer.length >= minTagLength &&
+      !ignoredTags.includes(answer) &&
+      !seen.has(canonical)
+    ) {
+      accepted.push(answer);
+      seen.add(canonical);
+    }
+    if (accepted.length > maxAcceptedTags) break;
   }
 
-  return `Getting closer to the answer...`;
+  return accepted.filter(Boolean);
 }
 
 /**
  * Batch validate multiple possible answers
- * Useful for finding best match from ambiguous descriptions
+ * Every answer gets the fast local strategies; only the first (primary)
+ * answer falls back to Gemini, so one guess costs at most one API call.
+ * Ties go to the earlier answer, so the primary answer wins when it matches.
  */
-export async function validateAnswerBatch(userGuess, possibleAnswers, imageDescription) {
-  const results = await Promise.all(
+export async function validateAnswerBatch(userGuess, possibleAnswers, imageDescription, options = {}) {
+  const localResults = await Promise.all(
     possibleAnswers.map((answer) =>
-      validateAnswerAdvanced(userGuess, answer, imageDescription).then(
+      validateAnswerAdvanced(userGuess, answer, imageDescription, { ...options, semantic: false }).then(
         (result) => ({ answer, ...result })
       )
     )
   );
 
-  // Sort by confidence
-  results.sort((a, b) => b.confidence - a.confidence);
+  let results = localResults;
+  if (!localResults.some((result) => result.isValid) && possibleAnswers.length > 0) {
+    const [primary] = possibleAnswers;
+    const semantic = await validateAnswerAdvanced(userGuess, primary, imageDescription, options);
+    results = [{ answer: primary, ...semantic }, ...localResults.slice(1)];
+  }
+
+  // Valid matches first, then by confidence
+  const ranked = [...results].sort(
+    (a, b) => Number(b.isValid) - Number(a.isValid) || b.confidence - a.confidence
+  );
+  const bestMatch = ranked[0];
 
   return {
-    bestMatch: results[0],
-    allResults: results,
-    consensus: results[0].confidence > 0.75,
+    ...bestMatch,
+    matchedAnswer: bestMatch?.isValid ? bestMatch.answer : null,
+    bestMatch,
+    allResults: ranked,
+    consensus: (bestMatch?.confidence || 0) > 0.75,
   };
 }
 
@@ -290,4 +363,5 @@ export default {
   validateAnswerAdvanced,
   generateContextualHint,
   validateAnswerBatch,
+  buildAcceptedAnswers,
 };
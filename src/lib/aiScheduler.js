@@ -0,0 +1,153 @@
+/**
+ * AI Scheduler: throttles Gemini requests to stay inside the free tier
+ * - token bucket: short bursts allowed, refilled at requestsPerMinute
+ * - daily counter: persisted in localStorage, resets with the daily key
+ * - cooldown: a 429 pauses all AI calls for Retry-After (or a default)
+ * While AI is unavailable, callers fall back to local hints/validation.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { getDailyKey } from "./dailyChallenge";
+import { storageUtils } from "./utils";
+
+const USAGE_STORAGE_KEY = "pixelpeek_ai_usage";
+
+/**
+ * Read today's usage ({ day, count, cooldownUntil })
+ */
+function loadUsage() {
+  const today = getDailyKey();
+  const stored = storageUtils.safeParse(localStorage.getItem(USAGE_STORAGE_KEY));
+  if (!stored || stored.day !== today) {
+    return { day: today, count: 0, cooldownUntil: stored?.cooldownUntil || 0 };
+  }
+  return stored;
+}
+
+class AIScheduler {
+  constructor() {
+    const { burst } = gameConfig.api.gemini.rateLimit;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.listeners = new Set();
+    this.cooldownTimer = null;
+  }
+
+  /**
+   * Refill the bucket for the time elapsed since the last refill
+   */
+  refill() {
+    const { requestsPerMinute, burst } = gameConfig.api.gemini.rateLimit;
+    const now = Date.now();
+    const refilled = ((now - this.lastRefill) / 60000) * requestsPerMinute;
+    this.tokens = Math.min(burst, this.tokens + refilled);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Current availability for the UI
+   * @returns {{ available, coolingDown, cooldownUntil, exhausted, usedToday, dailyLimit }}
+   */
+  getStatus() {
+    const { dailyLimit } = gameConfig.api.gemini.rateLimit;
+    const usage = loadUsage();
+    const coolingDown = usage.cooldownUntil > Date.now();
+    const exhausted = usage.count >= dailyLimit;
+
+    return {
+      available: !coolingDown && !exhausted,
+      coolingDown,
+      cooldownUntil: coolingDown ? usage.cooldownUntil : 0,
+      exhausted,
+      usedToday: usage.count,
+      dailyLimit,
+    };
+  }
+
+  /**
+   * Reserve one request slot, waiting up to `maxWait` ms in total for a token
+   * @returns {Promise<{ granted: boolean, reason?: "cooldown"|"daily_limit"|"rate_limit", retryAfter?: number }>}
+   */
+  async acquire() {
+    const { requestsPerMinute, maxWait } = gameConfig.api.gemini.rateLimit;
+    const deadline = Date.now() + maxWait;
+
+    // Concurrent callers may take the token while this one waits, so re-check after every wait
+    for (;;) {
+      const status = this.getStatus();
+      if (status.coolingDown) {
+        return { granted: false, reason: "cooldown", retryAfter: status.cooldownUntil - Date.now() };
+      }
+      if (status.exhausted) {
+        return { granted: false, reason: "daily_limit", retryAfter: null };
+      }
+
+      this.refill();
+      if (this.tokens >= 1) break;
+
+      const wait = ((1 - this.tokens) / requestsPerMinute) * 60000;
+      if (Date.now() + wait > deadline) {
+        return { granted: false, reason: "rate_limit", retryAfter: wait };
+      }
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    this.tokens -= 1;
+    this.recordRequest();
+    return { granted: true };
+  }
+
+  /**
+   * Count a request against today's quota
+   */
+  recordRequest() {
+    const usage = loadUsage();
+    usage.count += 1;
+    storageUtils.setLocal(USAGE_STORAGE_KEY, usage);
+    this.notify();
+  }
+
+  /**
+   * Pause AI calls after a 429 (Retry-After in ms, or the configured default)
+   */
+  reportRateLimited(retryAfter) {
+    const { defaultCooldown } = gameConfig.api.gemini.rateLimit;
+    const usage = loadUsage();
+    usage.cooldownUntil = Date.now() + (retryAfter || defaultCooldown);
+    storageUtils.setLocal(USAGE_STORAGE_KEY, usage);
+    this.tokens = 0;
+    this.scheduleCooldownEnd(usage.cooldownUntil);
+    this.notify();
+  }
+
+  /**
+   * Notify listeners again once the cooldown is over
+   */
+  scheduleCooldownEnd(cooldownUntil) {
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = setTimeout(() => this.notify(), Math.max(0, cooldownUntil - Date.now()) + 50);
+  }
+
+  /**
+   * Subscribe to status changes
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const status = this.getStatus();
+    this.listeners.forEach((listener) => listener(status));
+  }
+}
+
+// Singleton instance
+export const aiScheduler = new AIScheduler();
+
+// A cooldown persisted by a previous page load still ends on time
+const { cooldownUntil } = aiScheduler.getStatus();
+if (cooldownUntil) {
+  aiScheduler.scheduleCooldownEnd(cooldownUntil);
+}
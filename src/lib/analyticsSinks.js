@@ -0,0 +1,178 @@
+/**
+ * Analytics Sinks: pluggable destinations for analytics batches
+ *
+ * Every sink implements the AnalyticsSink contract:
+ *   name: string
+ *   requiresNetwork: boolean (batches wait in the offline sync queue while offline)
+ *   send(batch): Promise (throw to retry later through the offline sync queue)
+ *   beacon(batch): boolean (optional; synchronous send while the page unloads)
+ *
+ *   batch = { sessionId, timestamp, events: [{ name, timestamp, sessionId, data }] }
+ *
+ * The active sinks are picked by gameConfig.analytics.sinks.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+
+/**
+ * Console: logs each batch (development)
+ */
+export class ConsoleSink {
+  constructor() {
+    this.name = "console";
+    this.requiresNetwork = false;
+  }
+
+  async send(batch) {
+    this.beacon(batch);
+  }
+
+  beacon(batch) {
+    console.log(`[Analytics] ${batch.events.length} events`, batch);
+    return true;
+  }
+}
+
+/**
+ * HTTP: POSTs each batch as JSON to an endpoint (the proxy's /api/analytics collector by default)
+ */
+export class HttpSink {
+  constructor(endpoint = gameConfig.analytics.endpoint) {
+    this.name = "http";
+    this.requiresNetwork = true;
+    this.endpoint = endpoint;
+  }
+
+  async send(batch) {
+    const response = await fetch(this.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(batch),
+      keepalive: true,
+    });
+    if (!response.ok) {
+      throw new Error(`Analytics endpoint returned ${response.status}`);
+    }
+  }
+
+  beacon(batch) {
+    if (typeof navigator === "undefined" || !navigator.sendBeacon) return false;
+    const body = new Blob([JSON.stringify(batch)], { type: "application/json" });
+    return navigator.sendBeacon(this.endpoint, body);
+  }
+}
+
+/**
+ * IndexedDB: keeps the last analytics.maxStoredBatches batches on the device
+ */
+export class IndexedDBSink {
+  constructor({ dbName, maxStoredBatches } = gameConfig.analytics) {
+    this.name = "indexeddb";
+    this.requiresNetwork = false;
+    this.dbName = dbName;
+    this.maxStoredBatches = maxStoredBatches;
+    this.dbPromise = null;
+  }
+
+  openDB() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = (event) => {
+          event.target.result.createObjectStore("batches", { keyPath: "id", autoIncrement: true });
+        };
+      }).catch((error) => {
+        // Allow a retry on the next call
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async send(batch) {
+    const db = await this.openDB();
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(["batches"], "readwrite");
+      const store = transaction.objectStore("batches");
+      store.add({ ...batch, storedAt: Date.now() });
+
+      // Drop the oldest batches beyond the limit
+      store.count().onsuccess = (event) => {
+        let excess = event.target.result - this.maxStoredBatches;
+        if (excess <= 0) return;
+        store.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          excess -= 1;
+          cursor.continue();
+        };
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Stored batches, oldest first
+   */
+  async getBatches() {
+    const db = await this.openDB();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(["batches"], "readonly").objectStore("batches").getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clear() {
+    const db = await this.openDB();
+    await new Promise((resolve, reject) => {
+      const request = db.transaction(["batches"], "readwrite").objectStore("batches").clear();
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+const SINK_FACTORIES = {
+  console: () => new ConsoleSink(),
+  http: () => new HttpSink(),
+  indexeddb: () => new IndexedDBSink(),
+};
+
+const sinkInstances = new Map();
+
+/**
+ * Register an additional sink factory by name
+ */
+export function registerAnalyticsSink(name, factory) {
+  SINK_FACTORIES[name] = factory;
+  sinkInstances.delete(name);
+}
+
+/**
+ * Get a sink instance by name (null for unknown names)
+ */
+export function getAnalyticsSink(name) {
+  if (!SINK_FACTORIES[name]) {
+    console.warn(`Unknown analytics sink "${name}"`);
+    return null;
+  }
+
+  if (!sinkInstances.has(name)) {
+    sinkInstances.set(name, SINK_FACTORIES[name]());
+  }
+  return sinkInstances.get(name);
+}
+
+/**
+ * The configured sinks (gameConfig.analytics.sinks)
+ */
+export function getAnalyticsSinks(names = gameConfig.analytics.sinks) {
+  return names.map(getAnalyticsSink).filter(Boolean);
+}
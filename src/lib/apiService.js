@@ -1,7 +1,20 @@
-import { cacheManager } from "./cacheManager";
+import { gameConfig } from "../config/gameConfig";
 
 const UNSPLASH_API_KEY = import.meta.env.VITE_UNSPLASH_ACCESS_KEY;
-const API_TIMEOUT = 8000; // 8 second timeout
+const API_TIMEOUT = gameConfig.api.unsplash.timeout;
+const USE_PROXY = gameConfig.api.mode === "proxy";
+
+/**
+ * Unsplash request URL and headers
+ * In proxy mode the key is added server-side; in direct mode it is sent as a header
+ */
+function getUnsplashRequest(path, params) {
+  const baseUrl = USE_PROXY ? `${gameConfig.api.proxy.baseUrl}/unsplash` : gameConfig.api.unsplash.baseUrl;
+  return {
+    url: `${baseUrl}${path}?${new URLSearchParams(params)}`,
+    headers: USE_PROXY ? {} : { Authorization: `Client-ID ${UNSPLASH_API_KEY}` },
+  };
+}
 
 /**
  * Fetch with timeout
@@ -29,107 +42,54 @@ async function fetchWithTimeout(url, options = {}, timeout = API_TIMEOUT) {
 }
 
 /**
- * Fetch image from Unsplash with caching
+ * Map an Unsplash photo to the image provider contract
  */
-export async function fetchImageFromUnsplash(category) {
-  const cacheKey = `unsplash_${category}`;
-
-  // Check cache first
-  const cached = await cacheManager.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
+function toImageData(photo, category) {
+  return {
+    id: photo.id,
+    imageUrl: photo.urls.regular,
+    description: photo.alt_description || photo.description || category,
+    tags: (photo.tags || []).map((t) => t.title || t),
+    answer: category,
+    attribution: {
+      name: photo.user?.name || "Unknown",
+      url: photo.user?.links?.html || "",
+      source: "Unsplash",
+    },
+  };
+}
 
+/**
+ * Fetch a batch of random Unsplash photos for a category (uncached)
+ * Unsplash returns up to 30 photos per request with `count`
+ */
+export async function fetchUnsplashImages(category, count = 1) {
   try {
-    const url = `https://api.unsplash.com/photos/random?query=${category}&w=600&h=600&fit=crop&client_id=${UNSPLASH_API_KEY}`;
-    
-    const response = await fetchWithTimeout(url);
+    const { endpoint, imageWidth, imageHeight } = gameConfig.api.unsplash;
+    const { url, headers } = getUnsplashRequest(endpoint, {
+      query: category,
+      w: imageWidth,
+      h: imageHeight,
+      fit: "crop",
+      count: Math.min(30, Math.max(1, count)),
+    });
+
+    const response = await fetchWithTimeout(url, { headers });
     const data = await response.json();
 
     // Validate response
-    if (!data?.urls?.regular) {
+    const photos = (Array.isArray(data) ? data : [data]).filter((photo) => photo?.urls?.regular);
+    if (photos.length === 0) {
       throw new Error("Invalid Unsplash response");
     }
 
-    const imageData = {
-      imageUrl: data.urls.regular,
-      description: data.alt_description || data.description || category,
-      tags: (data.tags || []).map((t) => t.title || t),
-      photographer: data.user?.name || "Unknown",
-      id: data.id,
-    };
-
-    // Cache the result
-    await cacheManager.set(cacheKey, imageData);
-
-    return imageData;
+    return photos.map((photo) => toImageData(photo, category));
   } catch (error) {
     console.error("Unsplash API error:", error);
     throw new Error(`Failed to fetch image: ${error.message}`);
   }
 }
 
-/**
- * Preload multiple images in background
- */
-export async function preloadImages(categories, count = 3) {
-  const promises = categories.slice(0, count).map((category) =>
-    fetchImageFromUnsplash(category).catch((err) => {
-      console.warn(`Failed to preload ${category}:`, err);
-      return null;
-    })
-  );
-
-  return Promise.allSettled(promises);
-}
-
-/**
- * Fetch cached statistics
- */
-export async function getGameStatistics() {
-  const cacheKey = "game_stats";
-  const cached = await cacheManager.get(cacheKey);
-
-  if (cached) {
-    return cached;
-  }
-
-  // Return default stats if not cached
-  const stats = {
-    gamesPlayed: 0,
-    totalScore: 0,
-    averageScore: 0,
-    successRate: 0,
-  };
-
-  await cacheManager.set(cacheKey, stats);
-  return stats;
-}
-
-/**
- * Update game statistics
- */
-export async function updateGameStatistics(score, wasCorrect) {
-  const stats = await getGameStatistics();
-
-  stats.gamesPlayed += 1;
-  stats.totalScore += score;
-  stats.averageScore = Math.round(stats.totalScore / stats.gamesPlayed);
-
-  if (wasCorrect) {
-    stats.successRate = Math.round(
-      ((stats.successRate * (stats.gamesPlayed - 1) + 100) / stats.gamesPlayed)
-    );
-  } else {
-    stats.successRate = Math.round(
-      ((stats.successRate * (stats.gamesPlayed - 1)) / stats.gamesPlayed)
-    );
-  }
-
-  await cacheManager.set("game_stats", stats);
-  return stats;
-}
-
 /**
  * Retry logic for failed requests
  */
@@ -1,24 +1,86 @@
 /**
  * CacheManager: LRU + IndexedDB hybrid cache for images and API responses
+ * - TTL per entry (set(key, value, { ttl })), per namespace (gameConfig.cache.namespaces)
+ *   or the default gameConfig.cache.ttl. The namespace is the key prefix before "_".
+ * - IndexedDB is kept under gameConfig.cache.maxBytes by evicting the least
+ *   recently used entries; pinned namespaces (packs, stats) are never evicted.
+ * - Entry metadata (size, last access, expiry) lives in a small "meta" store
+ *   that is loaded once on init, so eviction never reads cached values.
+ * - Image bytes are stored as Blobs under `img_<hash>` (cacheImage) and served
+ *   through reference-counted object URLs (getImageUrl / releaseImageUrl).
  */
 
-const DB_NAME = "PixelPeekDB";
-const STORE_NAME = "cache";
-const MEMORY_CACHE_SIZE = 50; // Max items in memory
+import { gameConfig } from "../config/gameConfig";
+import { stringUtils } from "./utils";
+
+const { dbName: DB_NAME, storeName: STORE_NAME } = gameConfig.cache;
+const META_STORE_NAME = "meta";
+const DB_VERSION = 2;
+
+/**
+ * Namespace of a cache key ("unsplash_nature" -> "unsplash")
+ */
+export function getNamespace(key) {
+  return String(key).split("_")[0];
+}
+
+/**
+ * Cache key for the bytes of an image URL
+ */
+export function getImageKey(url) {
+  return `img_${stringUtils.hash(url)}`;
+}
+
+/**
+ * Approximate stored size of a value in bytes
+ */
+function estimateSize(value) {
+  if (typeof Blob !== "undefined" && value instanceof Blob) return value.size;
+  if (typeof value === "string") return value.length * 2;
+  try {
+    return (JSON.stringify(value) || "").length * 2;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Resolve when a readwrite transaction has been committed
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
 
 class CacheManager {
   constructor() {
-    this.memoryCache = new Map(); // LRU memory cache
+    this.memoryCache = new Map(); // key -> { value, expiresAt }; Map order is the LRU order
+    this.index = new Map(); // key -> { key, namespace, size, accessedAt, expiresAt } for IndexedDB entries
+    this.totalBytes = 0;
     this.db = null;
-    this.accessOrder = []; // Track access order for LRU
+    this.stats = { hits: 0, misses: 0, memoryHits: 0, evictions: 0, expired: 0 };
+    this.objectUrls = new Map(); // image key -> { objectUrl, refs }
   }
 
   /**
-   * Initialize IndexedDB
+   * Initialize IndexedDB, load entry metadata and drop expired entries
    */
   async init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, 1);
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
 
       request.onerror = () => reject(request.error);
       request.onsuccess = () => {
@@ -28,122 +90,407 @@ class CacheManager {
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
+        const transaction = event.target.transaction;
         if (!db.objectStoreNames.contains(STORE_NAME)) {
           db.createObjectStore(STORE_NAME, { keyPath: "key" });
         }
+        if (!db.objectStoreNames.contains(META_STORE_NAME)) {
+          db.createObjectStore(META_STORE_NAME, { keyPath: "key" });
+
+          // v1 entries only had a timestamp: build their metadata once
+          const meta = transaction.objectStore(META_STORE_NAME);
+          transaction.objectStore(STORE_NAME).openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            const { key, value, timestamp = Date.now() } = cursor.value;
+            meta.put(this.createMeta(key, value, undefined, timestamp));
+            cursor.continue();
+          };
+        }
       };
     });
+
+    const entries = await promisify(this.db.transaction([META_STORE_NAME], "readonly").objectStore(META_STORE_NAME).getAll());
+    entries.forEach((meta) => this.trackMeta(meta));
+    await this.purgeExpired();
+  }
+
+  /**
+   * TTL in ms for a key: explicit option, then namespace, then default (null = never expires)
+   */
+  resolveTtl(key, ttl) {
+    if (ttl !== undefined) return ttl;
+    const namespaceConfig = gameConfig.cache.namespaces[getNamespace(key)];
+    if (namespaceConfig && namespaceConfig.ttl !== undefined) return namespaceConfig.ttl;
+    return gameConfig.cache.ttl;
+  }
+
+  createMeta(key, value, ttl, now = Date.now()) {
+    const resolvedTtl = this.resolveTtl(key, ttl);
+    return {
+      key,
+      namespace: getNamespace(key),
+      size: estimateSize(value),
+      accessedAt: now,
+      expiresAt: resolvedTtl == null ? null : now + resolvedTtl,
+    };
+  }
+
+  trackMeta(meta) {
+    this.totalBytes -= this.index.get(meta.key)?.size || 0;
+    this.index.set(meta.key, meta);
+    this.totalBytes += meta.size;
+  }
+
+  isExpired(expiresAt) {
+    return expiresAt != null && expiresAt <= Date.now();
+  }
+
+  isPinned(namespace) {
+    return Boolean(gameConfig.cache.namespaces[namespace]?.pinned);
   }
 
   /**
-   * Get from cache (memory first, then IndexedDB)
+   * Get from cache (memory first, then IndexedDB); expired entries count as misses
    */
   async get(key) {
     // Check memory cache first
-    if (this.memoryCache.has(key)) {
-      this.updateAccessOrder(key);
-      return this.memoryCache.get(key);
+    const memoryEntry = this.memoryCache.get(key);
+    if (memoryEntry) {
+      if (this.isExpired(memoryEntry.expiresAt)) {
+        this.stats.expired += 1;
+        await this.delete(key);
+      } else {
+        this.stats.hits += 1;
+        this.stats.memoryHits += 1;
+        this.setMemory(key, memoryEntry.value, memoryEntry.expiresAt);
+        this.touch(key);
+        return memoryEntry.value;
+      }
+    }
+
+    const meta = this.index.get(key);
+    if (!this.db || !meta) {
+      this.stats.misses += 1;
+      return undefined;
+    }
+    if (this.isExpired(meta.expiresAt)) {
+      this.stats.expired += 1;
+      this.stats.misses += 1;
+      await this.delete(key);
+      return undefined;
     }
 
     // Check IndexedDB
     try {
       const transaction = this.db.transaction([STORE_NAME], "readonly");
-      const store = transaction.objectStore(STORE_NAME);
-      
-      return new Promise((resolve, reject) => {
-        const request = store.get(key);
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => {
-          const data = request.result?.value;
-          
-          // Move to memory cache if found
-          if (data) {
-            this.setMemory(key, data);
-          }
-          resolve(data);
-        };
-      });
+      const record = await promisify(transaction.objectStore(STORE_NAME).get(key));
+      const data = record?.value;
+
+      if (data === undefined) {
+        this.stats.misses += 1;
+        return undefined;
+      }
+
+      // Move to memory cache
+      this.stats.hits += 1;
+      this.setMemory(key, data, meta.expiresAt);
+      this.touch(key);
+      return data;
     } catch (error) {
       console.warn("IndexedDB get error:", error);
-      return null;
+      this.stats.misses += 1;
+      return undefined;
     }
   }
 
   /**
    * Set in cache (both memory and IndexedDB)
+   * @param {string} key
+   * @param {*} value
+   * @param {Object} [options]
+   * @param {number|null} [options.ttl] - ms until expiry; null never expires
    */
-  async set(key, value) {
-    this.setMemory(key, value);
+  async set(key, value, options = {}) {
+    const meta = this.createMeta(key, value, options.ttl);
+    this.setMemory(key, value, meta.expiresAt);
+
+    if (!this.db) return;
 
     try {
-      const transaction = this.db.transaction([STORE_NAME], "readwrite");
-      const store = transaction.objectStore(STORE_NAME);
-      
-      return new Promise((resolve, reject) => {
-        const request = store.put({ key, value, timestamp: Date.now() });
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve();
-      });
+      const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], "readwrite");
+      transaction.objectStore(STORE_NAME).put({ key, value, timestamp: meta.accessedAt });
+      transaction.objectStore(META_STORE_NAME).put(meta);
+      await transactionDone(transaction);
+
+      this.trackMeta(meta);
+      await this.enforceQuota(meta.namespace);
     } catch (error) {
       console.warn("IndexedDB set error:", error);
     }
   }
 
   /**
-   * Set in memory cache only (with LRU eviction)
+   * Remove an entry from memory and IndexedDB
    */
-  setMemory(key, value) {
-    // Remove if exists to update order
-    if (this.memoryCache.has(key)) {
-      this.memoryCache.delete(key);
+  async delete(key) {
+    this.memoryCache.delete(key);
+    this.revokeObjectUrl(key);
+    const meta = this.index.get(key);
+    if (meta) {
+      this.index.delete(key);
+      this.totalBytes -= meta.size;
     }
 
-    // Add to cache
-    this.memoryCache.set(key, value);
-    this.updateAccessOrder(key);
+    if (!this.db) return;
 
-    // Evict oldest if over capacity
-    if (this.memoryCache.size > MEMORY_CACHE_SIZE) {
-      const oldestKey = this.accessOrder.shift();
-      this.memoryCache.delete(oldestKey);
+    try {
+      const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], "readwrite");
+      transaction.objectStore(STORE_NAME).delete(key);
+      transaction.objectStore(META_STORE_NAME).delete(key);
+      await transactionDone(transaction);
+    } catch (error) {
+      console.warn("IndexedDB delete error:", error);
     }
   }
 
   /**
-   * Update access order for LRU
+   * Whether a non-expired entry exists (does not count as a hit or miss)
    */
-  updateAccessOrder(key) {
-    this.accessOrder = this.accessOrder.filter(k => k !== key);
-    this.accessOrder.push(key);
+  async has(key) {
+    const entry = this.index.get(key) || this.memoryCache.get(key);
+    return Boolean(entry) && !this.isExpired(entry.expiresAt);
   }
 
   /**
-   * Clear all caches
+   * Non-expired keys, optionally limited to one namespace
    */
-  async clear() {
+  async keys(namespace) {
+    const keys = new Set([...this.index.keys(), ...this.memoryCache.keys()]);
+    return [...keys].filter((key) => {
+      const entry = this.index.get(key) || this.memoryCache.get(key);
+      return !this.isExpired(entry.expiresAt) && (!namespace || getNamespace(key) === namespace);
+    });
+  }
+
+  /**
+   * Record an access for LRU eviction (persisted in the meta store)
+   */
+  touch(key) {
+    const meta = this.index.get(key);
+    if (!meta || !this.db) return;
+
+    meta.accessedAt = Date.now();
+    try {
+      this.db.transaction([META_STORE_NAME], "readwrite").objectStore(META_STORE_NAME).put(meta);
+    } catch (error) {
+      console.warn("IndexedDB touch error:", error);
+    }
+  }
+
+  /**
+   * Delete every expired IndexedDB entry
+   */
+  async purgeExpired() {
+    const expired = [...this.index.values()].filter((meta) => this.isExpired(meta.expiresAt));
+    for (const meta of expired) {
+      await this.delete(meta.key);
+    }
+    this.stats.expired += expired.length;
+    return expired.length;
+  }
+
+  /**
+   * Delete least recently used, unpinned entries matching `filter` until `fits()`
+   */
+  async evictLRU(filter, fits) {
+    const candidates = [...this.index.values()]
+      .filter((meta) => !this.isPinned(meta.namespace) && filter(meta))
+      .sort((a, b) => a.accessedAt - b.accessedAt);
+
+    for (const meta of candidates) {
+      if (fits()) break;
+      await this.delete(meta.key);
+      this.stats.evictions += 1;
+    }
+  }
+
+  /**
+   * Bytes stored in IndexedDB for one namespace
+   */
+  getNamespaceBytes(namespace) {
+    let bytes = 0;
+    this.index.forEach((meta) => {
+      if (meta.namespace === namespace) bytes += meta.size;
+    });
+    return bytes;
+  }
+
+  /**
+   * Keep a namespace under its own maxBytes (if any) and IndexedDB under cache.maxBytes
+   */
+  async enforceQuota(namespace) {
+    const namespaceMax = gameConfig.cache.namespaces[namespace]?.maxBytes;
+    if (namespaceMax && this.getNamespaceBytes(namespace) > namespaceMax) {
+      await this.evictLRU(
+        (meta) => meta.namespace === namespace,
+        () => this.getNamespaceBytes(namespace) <= namespaceMax
+      );
+    }
+
+    const { maxBytes } = gameConfig.cache;
+    if (this.totalBytes <= maxBytes) return;
+
+    await this.purgeExpired();
+    await this.evictLRU(() => true, () => this.totalBytes <= maxBytes);
+  }
+
+  /**
+   * Download an image and store its bytes (no-op if already stored)
+   * @returns {Promise<boolean>} whether the image is now available offline
+   */
+  async cacheImage(url) {
+    if (!url || url.startsWith("data:") || url.startsWith("blob:")) return false;
+
+    const key = getImageKey(url);
+    if (await this.has(key)) return true;
+
+    try {
+      const response = await fetch(url, { mode: "cors" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      await this.set(key, await response.blob());
+      return this.index.has(key);
+    } catch (error) {
+      console.warn("Failed to store image:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Object URL for a stored image, or null when its bytes are not cached
+   * Every successful call must be paired with releaseImageUrl(url).
+   */
+  async getImageUrl(url) {
+    const key = getImageKey(url);
+    const existing = this.objectUrls.get(key);
+    if (existing) {
+      existing.refs += 1;
+      this.touch(key);
+      return existing.objectUrl;
+    }
+
+    const blob = await this.get(key);
+    if (!(blob instanceof Blob)) return null;
+
+    // Another caller may have created it while we were reading
+    const entry = this.objectUrls.get(key) || { objectUrl: URL.createObjectURL(blob), refs: 0 };
+    entry.refs += 1;
+    this.objectUrls.set(key, entry);
+    return entry.objectUrl;
+  }
+
+  /**
+   * Drop a reference taken by getImageUrl; the object URL is revoked at zero
+   */
+  releaseImageUrl(url) {
+    const key = getImageKey(url);
+    const entry = this.objectUrls.get(key);
+    if (!entry) return;
+
+    entry.refs -= 1;
+    if (entry.refs <= 0) {
+      this.revokeObjectUrl(key);
+    }
+  }
+
+  /**
+   * Revoke an unreferenced object URL (kept while an image element still uses it)
+   */
+  revokeObjectUrl(key) {
+    const entry = this.objectUrls.get(key);
+    if (entry && entry.refs <= 0) {
+      URL.revokeObjectURL(entry.objectUrl);
+      this.objectUrls.delete(key);
+    }
+  }
+
+  /**
+   * Set in memory cache only (with LRU eviction)
+   */
+  setMemory(key, value, expiresAt = null) {
+    // Re-insert so the key moves to the most recently used end
+    this.memoryCache.delete(key);
+    this.memoryCache.set(key, { value, expiresAt });
+
+    // Evict oldest if over capacity
+    if (this.memoryCache.size > gameConfig.cache.memoryCacheSize) {
+      const oldestKey = this.memoryCache.keys().next().value;
+      this.memoryCache.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Clear all caches, or only one namespace
+   */
+  async clear(namespace) {
+    if (namespace) {
+      for (const key of await this.keys(namespace)) {
+        await this.delete(key);
+      }
+      return;
+    }
+
     this.memoryCache.clear();
-    this.accessOrder = [];
+    [...this.objectUrls.keys()].forEach((key) => this.revokeObjectUrl(key));
+    this.index.clear();
+    this.totalBytes = 0;
+
+    if (!this.db) return;
 
     try {
-      const transaction = this.db.transaction([STORE_NAME], "readwrite");
-      const store = transaction.objectStore(STORE_NAME);
-      
-      return new Promise((resolve, reject) => {
-        const request = store.clear();
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve();
-      });
+      const transaction = this.db.transaction([STORE_NAME, META_STORE_NAME], "readwrite");
+      transaction.objectStore(STORE_NAME).clear();
+      transaction.objectStore(META_STORE_NAME).clear();
+      await transactionDone(transaction);
     } catch (error) {
       console.warn("IndexedDB clear error:", error);
     }
   }
 
+  /**
+   * Hit/miss counters and IndexedDB usage, overall and per namespace
+   */
+  getStats() {
+    const { hits, misses } = this.stats;
+    const namespaces = {};
+    this.index.forEach((meta) => {
+      const entry = namespaces[meta.namespace] || { entries: 0, bytes: 0 };
+      entry.entries += 1;
+      entry.bytes += meta.size;
+      namespaces[meta.namespace] = entry;
+    });
+
+    return {
+      ...this.stats,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : 0,
+      memoryEntries: this.memoryCache.size,
+      entries: this.index.size,
+      bytes: this.totalBytes,
+      maxBytes: gameConfig.cache.maxBytes,
+      namespaces,
+    };
+  }
+
   /**
    * Get cache size
    */
   getSize() {
     return {
       memory: this.memoryCache.size,
+      entries: this.index.size,
+      bytes: this.totalBytes,
     };
   }
 }
@@ -0,0 +1,157 @@
+/**
+ * Daily Challenge: one shared, deterministic round per calendar day
+ * The day boundary follows gameConfig.locale.timezone so every player
+ * rolls over to the next puzzle at the same moment.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { DAILY_ROUNDS, DAILY_START } from "../config/dailyRounds";
+import { profileStorage } from "./profileStore";
+
+const STORAGE_KEY = "daily"; // in the active profile's storage
+const MAX_STORED_RESULTS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Day whose round this page load started; a stored mark for any other page load was abandoned
+let startedThisPage = null;
+
+const EMPTY_PROGRESS = {
+  streak: 0,
+  bestStreak: 0,
+  lastWonKey: null,
+  startedKey: null,
+  results: {},
+};
+
+/**
+ * Get the YYYY-MM-DD key of the day containing `date` in the configured timezone
+ */
+export function getDailyKey(date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: gameConfig.locale.timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+}
+
+/**
+ * Get the key of the calendar day before `dayKey`
+ */
+export function getPreviousDailyKey(dayKey) {
+  const [year, month, day] = dayKey.split("-").map(Number);
+  const previous = new Date(Date.UTC(year, month - 1, day) - DAY_MS);
+  return previous.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from `fromKey` to `toKey` (negative when `toKey` is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+  const toUTC = (key) => {
+    const [year, month, day] = key.split("-").map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toKey) - toUTC(fromKey)) / DAY_MS);
+}
+
+/**
+ * Get the round for a day. Same key -> same round for every player.
+ */
+export function getDailyRound(dayKey = getDailyKey()) {
+  const length = DAILY_ROUNDS.length;
+  const index = ((daysBetween(DAILY_START, dayKey) % length) + length) % length;
+  return { ...DAILY_ROUNDS[index], dayKey };
+}
+
+/**
+ * Read stored daily progress
+ */
+function loadProgress() {
+  const stored = profileStorage.get(STORAGE_KEY);
+  return stored ? { ...EMPTY_PROGRESS, ...stored } : { ...EMPTY_PROGRESS };
+}
+
+/**
+ * Get daily progress for display
+ * The streak reads as 0 once a day has been missed
+ */
+export function getDailyProgress(dayKey = getDailyKey()) {
+  const progress = loadProgress();
+  const streakAlive =
+    progress.lastWonKey === dayKey ||
+    progress.lastWonKey === getPreviousDailyKey(dayKey);
+
+  return {
+    dayKey,
+    streak: streakAlive ? progress.streak : 0,
+    bestStreak: progress.bestStreak,
+    todayResult: progress.results[dayKey] || null,
+    // Started but never finished, e.g. the page was reloaded mid-round
+    abandoned: progress.startedKey === dayKey && startedThisPage !== dayKey && !progress.results[dayKey],
+  };
+}
+
+/**
+ * Whether the player already finished the round for `dayKey`
+ */
+export function hasCompletedDaily(dayKey = getDailyKey()) {
+  return Boolean(loadProgress().results[dayKey]);
+}
+
+/**
+ * Mark the round for `dayKey` as in progress
+ * A reload before it is recorded then counts as a loss instead of a retry.
+ */
+export function markDailyStarted(dayKey) {
+  const progress = loadProgress();
+  if (progress.results[dayKey]) return;
+  startedThisPage = dayKey;
+  progress.startedKey = dayKey;
+  profileStorage.set(STORAGE_KEY, progress);
+}
+
+/**
+ * Clear the in-progress mark (leaving the round before a guess is free)
+ */
+export function clearDailyStarted(dayKey) {
+  const progress = loadProgress();
+  if (progress.startedKey !== dayKey) return;
+  progress.startedKey = null;
+  profileStorage.set(STORAGE_KEY, progress);
+}
+
+/**
+ * Record the single allowed attempt for a day
+ * Returns the updated progress, or the existing one if the day was already recorded
+ */
+export function recordDailyResult(dayKey, won, score) {
+  const progress = loadProgress();
+  if (progress.results[dayKey]) {
+    return getDailyProgress(dayKey);
+  }
+
+  if (won) {
+    const continues = progress.lastWonKey === getPreviousDailyKey(dayKey);
+    progress.streak = continues ? progress.streak + 1 : 1;
+    progress.bestStreak = Math.max(progress.bestStreak, progress.streak);
+    progress.lastWonKey = dayKey;
+  } else {
+    progress.streak = 0;
+  }
+
+  progress.results[dayKey] = { won, score, completedAt: Date.now() };
+  progress.startedKey = null;
+
+  // Keep only the most recent results
+  const keys = Object.keys(progress.results).sort();
+  keys.slice(0, Math.max(0, keys.length - MAX_STORED_RESULTS)).forEach((key) => {
+    delete progress.results[key];
+  });
+
+  profileStorage.set(STORAGE_KEY, progress);
+  return getDailyProgress(dayKey);
+}
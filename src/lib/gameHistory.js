@@ -0,0 +1,201 @@
+/**
+ * Game History: every finished round, stored in IndexedDB
+ * Kept in its own database (gameConfig.history.dbName, one per profile) so
+ * cache eviction and cacheManager.clear() never touch it. Statistics and
+ * trends are computed from the stored rounds on demand.
+ *
+ * Round record:
+ * { id, playedAt, day, imageId, category, answer, source, mode, difficulty,
+ *   won, skipped, score, attempts, hintsUsed, guesses: [{ guess, proximity }], duration }
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { getDailyKey } from "./dailyChallenge";
+import { getProfileDBName } from "./profileStore";
+
+const STORE_NAME = "rounds";
+const DB_VERSION = 1;
+
+// Open database promises by name (one history database per profile)
+const dbPromises = new Map();
+
+/**
+ * Open (and create) the active profile's history database once
+ */
+function openDB() {
+  const name = getProfileDBName(gameConfig.history.dbName);
+  if (!dbPromises.has(name)) {
+    dbPromises.set(name, new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a deleted profile's database go
+        db.onversionchange = () => {
+          db.close();
+          dbPromises.delete(name);
+        };
+        resolve(db);
+      };
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: "id", autoIncrement: true });
+          store.createIndex("playedAt", "playedAt");
+        }
+      };
+    }).catch((error) => {
+      // Allow a retry on the next call
+      dbPromises.delete(name);
+      throw error;
+    }));
+  }
+  return dbPromises.get(name);
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+}
+
+/**
+ * Store a finished round; the oldest rounds are dropped beyond history.maxRounds
+ */
+export async function recordRound(round) {
+  const playedAt = Date.now();
+  const record = {
+    ...round,
+    playedAt,
+    day: getDailyKey(new Date(playedAt)),
+    guesses: round.guesses || [],
+    skipped: Boolean(round.skipped),
+  };
+
+  try {
+    const db = await openDB();
+    const store = db.transaction([STORE_NAME], "readwrite").objectStore(STORE_NAME);
+    record.id = await promisify(store.add(record));
+
+    const count = await promisify(store.count());
+    const excess = count - gameConfig.history.maxRounds;
+    if (excess > 0) {
+      let removed = 0;
+      store.index("playedAt").openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || removed >= excess) return;
+        cursor.delete();
+        removed += 1;
+        cursor.continue();
+      };
+    }
+    return record;
+  } catch (error) {
+    console.warn("Failed to record round:", error);
+    return null;
+  }
+}
+
+/**
+ * Stored rounds, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.since] - only rounds played at or after this timestamp
+ */
+export async function getHistory({ since = 0 } = {}) {
+  try {
+    const db = await openDB();
+    const index = db.transaction([STORE_NAME], "readonly").objectStore(STORE_NAME).index("playedAt");
+    return await promisify(index.getAll(IDBKeyRange.lowerBound(since)));
+  } catch (error) {
+    console.warn("Failed to read history:", error);
+    return [];
+  }
+}
+
+/**
+ * Delete all stored rounds
+ */
+export async function clearHistory() {
+  const db = await openDB();
+  await promisify(db.transaction([STORE_NAME], "readwrite").objectStore(STORE_NAME).clear());
+}
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+const percent = (part, total) => (total ? Math.round((part / total) * 100) : 0);
+
+/**
+ * Aggregate a list of rounds
+ */
+function summarize(rounds) {
+  const wins = rounds.filter((round) => round.won);
+  return {
+    played: rounds.length,
+    wins: wins.length,
+    winRate: percent(wins.length, rounds.length),
+    averageScore: Math.round(average(rounds.map((round) => round.score || 0))),
+  };
+}
+
+/**
+ * Statistics for the stats dashboard
+ * - hardestCategories: lowest win rate first (categories with at least history.minCategoryRounds rounds)
+ * - trend: one point per day for the last history.trendDays days with rounds
+ */
+export function computeStatistics(rounds) {
+  const { minCategoryRounds, trendDays } = gameConfig.history;
+  const overall = summarize(rounds);
+  const wins = rounds.filter((round) => round.won);
+
+  const byCategory = new Map();
+  const byDay = new Map();
+  rounds.forEach((round) => {
+    byCategory.set(round.category, [...(byCategory.get(round.category) || []), round]);
+    byDay.set(round.day, [...(byDay.get(round.day) || []), round]);
+  });
+
+  const categories = [...byCategory.entries()].map(([category, categoryRounds]) => ({
+    category,
+    ...summarize(categoryRounds),
+    averageAttempts: Math.round(average(categoryRounds.map((round) => round.attempts || 0)) * 10) / 10,
+  }));
+
+  const hardestCategories = categories
+    .filter((category) => category.played >= minCategoryRounds)
+    .sort((a, b) => a.winRate - b.winRate || b.averageAttempts - a.averageAttempts);
+
+  const trend = [...byDay.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .slice(-trendDays)
+    .map(([day, dayRounds]) => ({ day, ...summarize(dayRounds) }));
+
+  return {
+    gamesPlayed: overall.played,
+    wins: overall.wins,
+    winRate: overall.winRate,
+    averageScore: overall.averageScore,
+    totalScore: rounds.reduce((sum, round) => sum + (round.score || 0), 0),
+    bestScore: Math.max(0, ...rounds.map((round) => round.score || 0)),
+    averageAttempts: Math.round(average(wins.map((round) => round.attempts)) * 10) / 10,
+    averageHints: Math.round(average(rounds.map((round) => round.hintsUsed || 0)) * 10) / 10,
+    averageDuration: Math.round(average(wins.map((round) => round.duration || 0))),
+    categories,
+    hardestCategories,
+    trend,
+  };
+}
+
+/**
+ * Statistics over all stored rounds
+ */
+export async function getStatistics() {
+  return computeStatistics(await getHistory());
+}
+
+export default {
+  recordRound,
+  getHistory,
+  clearHistory,
+  computeStatistics,
+  getStatistics,
+};
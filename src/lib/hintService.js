@@ -0,0 +1,63 @@
+/**
+ * Hint Service: one entry point for round hints
+ * Tries, in order: the pack's hand-written hint, Gemini (contextual for a
+ * wrong guess, then standard), and finally the local rule-based engine, so
+ * the game stays playable without an API key or a network.
+ */
+
+import { generateHintFromAI, isGeminiConfigured } from "./gemini";
+import { generateContextualHint } from "./advancedAnswerValidator";
+import { generateLocalHint } from "./localHints";
+import { LLM_ERROR_TYPES, UNAVAILABLE_ERROR_TYPES } from "./llmClient";
+
+/**
+ * Get the hint for a level
+ * @param {Object} params
+ * @param {number} params.level - hint level (0-4)
+ * @param {string} params.answer - correct answer
+ * @param {string} params.description - image description
+ * @param {Object} params.round - round metadata ({ category, tags, hints, acceptedAnswers })
+ * @param {string} [params.guess] - the wrong guess that triggered this hint
+ * @param {string[]} [params.previousHints] - hints already shown this round
+ * @param {AbortSignal} [params.signal] - cancels pending AI requests
+ * @returns {Promise<{text: string, source: "pack"|"ai"|"local"}>}
+ */
+export async function getHint({ level, answer, description, round = {}, guess = "", previousHints = [], signal }) {
+  const packHint = round.hints?.[level];
+  if (packHint) {
+    return { text: packHint, source: "pack" };
+  }
+
+  let aiAvailable = isGeminiConfigured();
+
+  if (aiAvailable && guess) {
+    try {
+      return { text: await generateContextualHint(guess, answer, description, level, { signal }), source: "ai" };
+    } catch (err) {
+      if (err.type === LLM_ERROR_TYPES.ABORTED) throw err;
+      console.warn("Contextual hint failed:", err.message);
+      // Quota/rate limits: go straight to local instead of trying a second request
+      aiAvailable = !UNAVAILABLE_ERROR_TYPES.includes(err.type);
+    }
+  }
+
+  if (aiAvailable) {
+    try {
+      return { text: await generateHintFromAI(description, level, previousHints, answer, { signal }), source: "ai" };
+    } catch (err) {
+      if (err.type === LLM_ERROR_TYPES.ABORTED) throw err;
+      console.warn("AI hint failed, using local hints:", err.message);
+    }
+  }
+
+  const text = generateLocalHint(
+    { answer, category: round.category, tags: round.tags, description, acceptedAnswers: round.acceptedAnswers },
+    level,
+    previousHints
+  );
+  return { text, source: "local" };
+}
+
+export default {
+  getHint,
+};
@@ -0,0 +1,198 @@
+/**
+ * Image Pool: several Unsplash images per category, consumed without repeats
+ * Each category keeps a pool (cached under `unsplash_pool_<category>`) that is
+ * filled with one batched request and topped up in the background when it
+ * runs low. Ids of images already shown are kept in localStorage so a player
+ * doesn't see the same photo again within gameConfig.imagePool.historySize rounds.
+ * The next image of each pool has its bytes stored ahead of time, and
+ * downloadForOffline() stores a whole batch for playing without a network.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { cacheManager, getImageKey } from "./cacheManager";
+import { fetchUnsplashImages } from "./apiService";
+import { storageUtils } from "./utils";
+import { isOnline } from "./offline";
+
+const SEEN_STORAGE_KEY = "pixelpeek_seen_images";
+const POOL_KEY_PREFIX = "unsplash_pool_";
+
+export class ImagePool {
+  constructor(fetchImages = fetchUnsplashImages) {
+    this.fetchImages = fetchImages;
+    this.refills = new Map(); // category -> pending refill, so one request per category at a time
+  }
+
+  /**
+   * Ids of recently shown images, oldest first
+   */
+  getSeenIds() {
+    return storageUtils.getLocal(SEEN_STORAGE_KEY) || [];
+  }
+
+  /**
+   * Remember an image as shown (keeps the last historySize ids)
+   */
+  markSeen(id) {
+    const { historySize } = gameConfig.imagePool;
+    const seen = this.getSeenIds().filter((seenId) => seenId !== id);
+    seen.push(id);
+    storageUtils.setLocal(SEEN_STORAGE_KEY, seen.slice(-historySize));
+  }
+
+  async getPool(category) {
+    return (await cacheManager.get(`${POOL_KEY_PREFIX}${category}`)) || [];
+  }
+
+  async savePool(category, pool) {
+    await cacheManager.set(`${POOL_KEY_PREFIX}${category}`, pool, { ttl: gameConfig.imagePool.ttl });
+  }
+
+  /**
+   * Fetch a batch and add the images that are neither seen nor already pooled
+   * @returns {Promise<Array>} the pool after the refill
+   */
+  refill(category) {
+    if (this.refills.has(category)) {
+      return this.refills.get(category);
+    }
+
+    const pending = (async () => {
+      const batch = await this.fetchImages(category, gameConfig.imagePool.batchSize);
+      const pool = await this.getPool(category);
+      const seen = new Set(this.getSeenIds());
+      const pooled = new Set(pool.map((image) => image.id));
+      const fresh = batch.filter((image) => !seen.has(image.id) && !pooled.has(image.id));
+
+      // A category with few results may only return seen photos: keep them as a last resort
+      const next = pool.length + fresh.length > 0 ? [...pool, ...fresh] : batch;
+      await this.savePool(category, next);
+      return next;
+    })().finally(() => this.refills.delete(category));
+
+    this.refills.set(category, pending);
+    return pending;
+  }
+
+  /**
+   * Take the next unseen image for a category
+   * Waits for a refill only when the pool is empty; otherwise tops up in the background
+   */
+  async take(category) {
+    const seen = new Set(this.getSeenIds());
+    let pool = (await this.getPool(category)).filter((image) => !seen.has(image.id));
+
+    if (pool.length === 0) {
+      const refilled = await this.refill(category);
+      pool = refilled.filter((image) => !seen.has(image.id));
+      // Everything left was seen recently: repeat rather than fail the round
+      if (pool.length === 0) pool = refilled;
+    }
+    if (pool.length === 0) {
+      throw new Error(`No images available for "${category}"`);
+    }
+
+    // Offline: only images whose bytes are stored can be shown
+    if (!isOnline()) {
+      const stored = await Promise.all(pool.map((candidate) => cacheManager.has(getImageKey(candidate.imageUrl))));
+      const index = stored.indexOf(true);
+      if (index > 0) {
+        pool = [pool[index], ...pool.slice(0, index), ...pool.slice(index + 1)];
+      }
+    }
+
+    const [image, ...rest] = pool;
+    await this.savePool(category, rest);
+    this.markSeen(image.id);
+
+    if (rest.length < gameConfig.imagePool.minSize) {
+      this.refill(category).catch((err) => console.warn(`Image pool refill failed for ${category}:`, err));
+    }
+    // Store the next round's bytes while this one is played
+    if (rest.length > 0) {
+      cacheManager.cacheImage(rest[0].imageUrl);
+    }
+
+    return image;
+  }
+
+  /**
+   * Top up pools that are below minSize (background warm-up)
+   */
+  async prefill(categories) {
+    const { minSize } = gameConfig.imagePool;
+    return Promise.allSettled(
+      categories.map(async (category) => {
+        const pool = await this.getPool(category);
+        if (pool.length < minSize) {
+          await this.refill(category);
+        }
+      })
+    );
+  }
+
+  /**
+   * Categories with at least one unseen image whose bytes are stored (offline play)
+   */
+  async getOfflineCategories(categories) {
+    const seen = new Set(this.getSeenIds());
+    const available = await Promise.all(
+      categories.map(async (category) => {
+        const pool = (await this.getPool(category)).filter((image) => !seen.has(image.id));
+        const stored = await Promise.all(pool.map((image) => cacheManager.has(getImageKey(image.imageUrl))));
+        return stored.includes(true);
+      })
+    );
+    return categories.filter((_, index) => available[index]);
+  }
+
+  /**
+   * Store `total` rounds spread across categories for offline play
+   * @param {string[]} categories
+   * @param {number} total - rounds to store
+   * @param {Function} [onProgress] - ({ done, total }) after each stored image
+   * @returns {Promise<{ stored: number, total: number }>}
+   */
+  async downloadForOffline(categories, total = gameConfig.imagePool.offlineRounds, onProgress = () => {}) {
+    const perCategory = Math.ceil(total / categories.length);
+    const seen = new Set(this.getSeenIds());
+    let done = 0;
+    onProgress({ done, total });
+
+    for (const category of categories) {
+      if (done >= total) break;
+
+      let pool = (await this.getPool(category)).filter((image) => !seen.has(image.id));
+      if (pool.length < perCategory) {
+        try {
+          pool = (await this.refill(category)).filter((image) => !seen.has(image.id));
+        } catch (err) {
+          console.warn(`Offline download skipped ${category}:`, err);
+          continue;
+        }
+      }
+
+      for (const image of pool.slice(0, Math.min(perCategory, total - done))) {
+        if (await cacheManager.cacheImage(image.imageUrl)) {
+          done += 1;
+          onProgress({ done, total });
+        }
+      }
+    }
+
+    return { stored: done, total };
+  }
+
+  /**
+   * Pool sizes per category (for debugging / cache inspection)
+   */
+  async getStatus(categories) {
+    const entries = await Promise.all(
+      categories.map(async (category) => [category, (await this.getPool(category)).length])
+    );
+    return { pools: Object.fromEntries(entries), seen: this.getSeenIds().length };
+  }
+}
+
+// Singleton instance
+export const imagePool = new ImagePool();
@@ -0,0 +1,219 @@
+/**
+ * Image Providers: pluggable sources for round images
+ *
+ * Every provider implements the ImageProvider contract:
+ *   name: string
+ *   getCategories(): Promise<string[]>
+ *   fetchRandom(category): Promise<{
+ *     id, imageUrl, description, tags, answer, attribution
+ *   }>
+ *   preload(categories, count): Promise (optional background warm-up)
+ *   getOfflineCategories(categories): Promise<string[]> (optional; categories playable offline)
+ *
+ * The active provider is picked by gameConfig.api.imageProvider, so the game
+ * can run fully offline on internal image sets without an Unsplash key.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { GAME_CONSTANTS, arrayUtils } from "./utils";
+import { imagePool } from "./imagePool";
+
+// Bundled images for the local-folder provider: src/assets/rounds/<category>/<answer>.<ext>
+const LOCAL_ROUND_FILES = import.meta.glob("../assets/rounds/**/*.{jpg,jpeg,png,webp,gif}", {
+  eager: true,
+  as: "url",
+});
+
+/**
+ * A provider has no rounds to offer; the message is shown to the player
+ */
+export class ImageProviderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ImageProviderError";
+  }
+}
+
+/**
+ * Unsplash: random photo per search category; the category is the answer
+ * Photos come from a per-category pool so rounds don't repeat (src/lib/imagePool.js)
+ */
+export class UnsplashProvider {
+  constructor() {
+    this.name = "unsplash";
+  }
+
+  async getCategories() {
+    return GAME_CONSTANTS.CATEGORIES;
+  }
+
+  async fetchRandom(category) {
+    return imagePool.take(category);
+  }
+
+  async preload(categories, count) {
+    return imagePool.prefill(arrayUtils.shuffle(categories).slice(0, count));
+  }
+
+  async getOfflineCategories(categories) {
+    return imagePool.getOfflineCategories(categories);
+  }
+}
+
+/**
+ * Base provider for a fixed list of rounds
+ * Draws from a shuffled deck per category so rounds don't repeat until exhausted
+ */
+export class StaticRoundsProvider {
+  constructor(name) {
+    this.name = name;
+    this.decks = new Map();
+  }
+
+  /**
+   * Load all round entries (override in subclasses)
+   * @returns {Promise<Array>} entries matching the provider contract plus `category`
+   */
+  async loadEntries() {
+    return [];
+  }
+
+  async getEntries() {
+    if (!this.entriesPromise) {
+      this.entriesPromise = this.loadEntries().catch((error) => {
+        // Allow a retry on the next call
+        this.entriesPromise = null;
+        throw error;
+      });
+    }
+    return this.entriesPromise;
+  }
+
+  async getCategories() {
+    const entries = await this.getEntries();
+    return arrayUtils.unique(entries.map((entry) => entry.category));
+  }
+
+  async fetchRandom(category) {
+    const entries = await this.getEntries();
+    if (entries.length === 0) {
+      throw new ImageProviderError(`No rounds available from the "${this.name}" image source`);
+    }
+
+    const pool = entries.filter((entry) => entry.category === category);
+    const deckKey = pool.length > 0 ? category : "*";
+    let deck = this.decks.get(deckKey);
+
+    if (!deck || deck.length === 0) {
+      deck = arrayUtils.shuffle(pool.length > 0 ? pool : entries);
+      this.decks.set(deckKey, deck);
+    }
+
+    return deck.pop();
+  }
+
+  // Static rounds are already local - nothing to warm up
+  async preload() {}
+}
+
+/**
+ * Manifest: rounds listed in a static JSON file
+ * {
+ *   "rounds": [
+ *     { "id", "image", "answer", "category", "description", "tags", "attribution" }
+ *   ]
+ * }
+ * Relative image paths resolve against the manifest URL.
+ */
+export class ManifestProvider extends StaticRoundsProvider {
+  constructor(url = gameConfig.api.manifest.url) {
+    super("manifest");
+    this.url = url;
+  }
+
+  async loadEntries() {
+    const manifestUrl = new URL(this.url, window.location.href);
+    const response = await fetch(manifestUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load image manifest: HTTP ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    const rounds = Array.isArray(manifest) ? manifest : manifest.rounds || [];
+
+    return rounds.map((round, index) => ({
+      id: round.id || `manifest-${index}`,
+      imageUrl: new URL(round.image || round.imageUrl, manifestUrl).href,
+      description: round.description || round.category || round.answer,
+      tags: round.tags || [],
+      answer: round.answer,
+      category: round.category || round.answer,
+      attribution: round.attribution || { name: manifest.name || "Manifest", url: "", source: "manifest" },
+    }));
+  }
+}
+
+/**
+ * Local folder: images bundled from src/assets/rounds/<category>/<answer>.<ext>
+ * File names become answers ("golden-retriever.jpg" -> "golden retriever").
+ */
+export class LocalFolderProvider extends StaticRoundsProvider {
+  constructor(files = LOCAL_ROUND_FILES) {
+    super("local");
+    this.files = files;
+  }
+
+  async loadEntries() {
+    if (Object.keys(this.files).length === 0) {
+      throw new ImageProviderError("No local images found in src/assets/rounds/<category>/");
+    }
+
+    return Object.entries(this.files).map(([path, url]) => {
+      const segments = path.split("/");
+      const fileName = segments.pop().replace(/\.[^.]+$/, "");
+      const category = segments.pop();
+      const answer = fileName.replace(/[-_]+/g, " ").replace(/\s*\d+$/, "").trim();
+
+      return {
+        id: `local-${category}-${fileName}`,
+        imageUrl: url,
+        description: category,
+        tags: [],
+        answer,
+        category,
+        attribution: { name: "Local image set", url: "", source: "local" },
+      };
+    });
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  unsplash: () => new UnsplashProvider(),
+  manifest: () => new ManifestProvider(),
+  local: () => new LocalFolderProvider(),
+};
+
+const providerInstances = new Map();
+
+/**
+ * Register an additional provider factory by name
+ */
+export function registerImageProvider(name, factory) {
+  PROVIDER_FACTORIES[name] = factory;
+  providerInstances.delete(name);
+}
+
+/**
+ * Get a provider instance (defaults to gameConfig.api.imageProvider)
+ */
+export function getImageProvider(name = gameConfig.api.imageProvider) {
+  if (!PROVIDER_FACTORIES[name]) {
+    console.warn(`Unknown image provider "${name}", falling back to unsplash`);
+    name = "unsplash";
+  }
+
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providerInstances.get(name);
+}
@@ -0,0 +1,170 @@
+/**
+ * Local Leaderboards: one board per mode, difficulty and category
+ * Boards are shared by every profile on the device, so each entry records
+ * the player. Classic and daily boards rank single rounds; blitz boards rank
+ * whole runs. A round also lands on its mode/difficulty "all" board.
+ * Each profile's own best per board is kept in its profile storage, so the
+ * header shows the player's high score even when others fill the board.
+ *
+ * Stored in localStorage (`pixelpeek_leaderboards`) as
+ * { [mode:difficulty:category]: { updatedAt, entries: [{ id, profileId, player, avatar, score, date, details }] } }
+ * and kept under gameConfig.leaderboard.maxBytes by dropping the least
+ * recently updated boards.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { storageUtils } from "./utils";
+import { getActiveProfile, profileStorage } from "./profileStore";
+
+const STORAGE_KEY = "pixelpeek_leaderboards";
+const BEST_SCORES_KEY = "best_scores"; // in the active profile's storage: { [boardKey]: score }
+export const ALL_CATEGORIES = "all";
+
+/**
+ * Key of the board for a mode, difficulty and category
+ */
+export function getBoardKey(mode, difficulty, category = ALL_CATEGORIES) {
+  return `${mode}:${difficulty}:${category || ALL_CATEGORIES}`;
+}
+
+/**
+ * Split a board key into { mode, difficulty, category }
+ */
+export function parseBoardKey(key) {
+  const [mode, difficulty, ...category] = key.split(":");
+  return { mode, difficulty, category: category.join(":") };
+}
+
+function loadBoards() {
+  return storageUtils.getLocal(STORAGE_KEY) || {};
+}
+
+/**
+ * Save boards, dropping the least recently updated ones (except `keep`) over
+ * the byte budget or when localStorage is full
+ */
+function saveBoards(boards, keep = []) {
+  const { maxBytes } = gameConfig.leaderboard;
+  const evictable = Object.keys(boards)
+    .filter((key) => !keep.includes(key))
+    .sort((a, b) => boards[a].updatedAt - boards[b].updatedAt);
+
+  let json = storageUtils.safeStringify(boards);
+  while (json.length > maxBytes && evictable.length > 0) {
+    delete boards[evictable.shift()];
+    json = storageUtils.safeStringify(boards);
+  }
+
+  for (;;) {
+    try {
+      localStorage.setItem(STORAGE_KEY, json);
+      return;
+    } catch (error) {
+      if (evictable.length === 0) {
+        console.warn("Failed to save leaderboards:", error);
+        return;
+      }
+      delete boards[evictable.shift()];
+      json = storageUtils.safeStringify(boards);
+    }
+  }
+}
+
+/**
+ * Insert an entry into a board, keeping the top leaderboard.entriesPerBoard
+ * @returns {number|null} 1-based rank, or null if the entry didn't make the board
+ */
+function insertEntry(boards, key, entry) {
+  const board = boards[key] || { entries: [] };
+  // Equal scores keep the earlier entry ahead
+  const entries = [...board.entries, entry]
+    .sort((a, b) => b.score - a.score || a.date - b.date)
+    .slice(0, gameConfig.leaderboard.entriesPerBoard);
+
+  boards[key] = { updatedAt: entry.date, entries };
+  const index = entries.findIndex((candidate) => candidate.id === entry.id);
+  return index === -1 ? null : index + 1;
+}
+
+function createEntry(score, details) {
+  const profile = getActiveProfile();
+  return {
+    id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    profileId: profile.id,
+    player: profile.name,
+    avatar: profile.avatar,
+    score,
+    date: Date.now(),
+    details,
+  };
+}
+
+/**
+ * Record a score for the active profile
+ * @param {Object} run
+ * @param {string} run.mode
+ * @param {string} run.difficulty
+ * @param {string} [run.category] - omitted for runs that span categories (blitz)
+ * @param {number} run.score
+ * @param {Object} [run.details] - round or run details shown on the board
+ * @returns {{ entry: Object, placements: Array<{ key: string, rank: number|null }> }}
+ *   placements on the category board first, then the "all" board
+ */
+export function submitScore({ mode, difficulty, category = ALL_CATEGORIES, score, details = {} }) {
+  const boards = loadBoards();
+  const entry = createEntry(score, details);
+  const keys = [...new Set([getBoardKey(mode, difficulty, category), getBoardKey(mode, difficulty)])];
+  const placements = keys.map((key) => ({ key, rank: insertEntry(boards, key, entry) }));
+  saveBoards(boards, keys);
+
+  const bestScores = profileStorage.get(BEST_SCORES_KEY, {});
+  keys.forEach((key) => {
+    bestScores[key] = Math.max(bestScores[key] || 0, score);
+  });
+  try {
+    profileStorage.set(BEST_SCORES_KEY, bestScores);
+  } catch (error) {
+    console.warn("Failed to save best scores:", error);
+  }
+
+  return { entry, placements };
+}
+
+/**
+ * Entries of a board, best first
+ */
+export function getLeaderboard(key) {
+  return loadBoards()[key]?.entries || [];
+}
+
+/**
+ * Keys of every stored board
+ */
+export function getBoardKeys() {
+  return Object.keys(loadBoards());
+}
+
+/**
+ * The active profile's best score for a mode and difficulty (0 when none)
+ */
+export function getBestScore(mode, difficulty) {
+  return profileStorage.get(BEST_SCORES_KEY, {})[getBoardKey(mode, difficulty)] || 0;
+}
+
+/**
+ * Delete every board
+ */
+export function clearLeaderboards() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export default {
+  ALL_CATEGORIES,
+  getBoardKey,
+  parseBoardKey,
+  submitScore,
+  getLeaderboard,
+  getBoardKeys,
+  getBestScore,
+  clearLeaderboards,
+};
@@ -0,0 +1,301 @@
+/**
+ * LLM Client: the single place that talks to Gemini
+ * Model, endpoint and timeout come from gameConfig.api.gemini; the key is
+ * sent as a header (never in the URL), or added by the proxy when
+ * gameConfig.api.mode is "proxy". Failures are thrown as LLMError with
+ * a `type` so callers can tell a missing key from a quota or a timeout.
+ * Responses can be cached per prompt inputs (see cachedRequest).
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { cacheManager } from "./cacheManager";
+import { aiScheduler } from "./aiScheduler";
+import { isOnline } from "./offline";
+
+const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
+const USE_PROXY = gameConfig.api.mode === "proxy";
+
+export const LLM_ERROR_TYPES = {
+  NOT_CONFIGURED: "NOT_CONFIGURED",
+  AUTH: "AUTH",
+  QUOTA: "QUOTA",
+  TIMEOUT: "TIMEOUT",
+  ABORTED: "ABORTED",
+  EMPTY_RESPONSE: "EMPTY_RESPONSE",
+  NETWORK: "NETWORK",
+  HTTP: "HTTP",
+  INVALID_JSON: "INVALID_JSON",
+  RATE_LIMITED: "RATE_LIMITED",
+  OFFLINE: "OFFLINE",
+};
+
+// Errors that mean "AI is unavailable for now" - callers should go local
+export const UNAVAILABLE_ERROR_TYPES = [
+  LLM_ERROR_TYPES.NOT_CONFIGURED,
+  LLM_ERROR_TYPES.AUTH,
+  LLM_ERROR_TYPES.QUOTA,
+  LLM_ERROR_TYPES.RATE_LIMITED,
+  LLM_ERROR_TYPES.OFFLINE,
+];
+
+// Cache key -> pending promise, so identical concurrent requests share one call
+const inFlight = new Map();
+
+/**
+ * Typed LLM failure
+ * `status` is the HTTP status (if any), `retryAfter` the server's suggested wait in ms
+ */
+export class LLMError extends Error {
+  constructor(type, message, { status = null, retryAfter = null, cause } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.type = type;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Whether an API key is configured
+ * With the proxy the key lives server-side; a missing one surfaces as NOT_CONFIGURED
+ */
+export function isLLMConfigured() {
+  return USE_PROXY || Boolean(GEMINI_API_KEY);
+}
+
+/**
+ * Full generateContent URL for a model
+ */
+function getEndpointUrl(model) {
+  const { endpoint } = gameConfig.api.gemini;
+  const baseUrl = USE_PROXY ? `${gameConfig.api.proxy.baseUrl}/gemini` : gameConfig.api.gemini.baseUrl;
+  return `${baseUrl}${endpoint.replace("{model}", model)}`;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Map a failed HTTP response to an LLMError
+ */
+async function toHttpError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  const detail = errorData?.error?.message || response.statusText || "Unknown error";
+  const status = response.status;
+
+  // The proxy has no Gemini key
+  if (errorData?.error?.status === "NOT_CONFIGURED") {
+    return new LLMError(LLM_ERROR_TYPES.NOT_CONFIGURED, detail, { status });
+  }
+  if (status === 401 || status === 403 || (status === 400 && /api key/i.test(detail))) {
+    return new LLMError(LLM_ERROR_TYPES.AUTH, `Gemini rejected the API key: ${detail}`, { status });
+  }
+  if (status === 429) {
+    return new LLMError(LLM_ERROR_TYPES.QUOTA, `Gemini quota exceeded: ${detail}`, {
+      status,
+      retryAfter: parseRetryAfter(response.headers.get("Retry-After")),
+    });
+  }
+  return new LLMError(LLM_ERROR_TYPES.HTTP, `Gemini API Error: ${status} - ${detail}`, { status });
+}
+
+/**
+ * Send a prompt and return the raw generateContent response body
+ * @param {string} prompt
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - cancels the request (throws ABORTED)
+ * @param {number} [options.timeout] - ms before the request is aborted (throws TIMEOUT)
+ * @param {string} [options.model] - defaults to gameConfig.api.gemini.model
+ * @param {Object} [options.generationConfig] - passed through to Gemini
+ */
+export async function generateContent(prompt, options = {}) {
+  const {
+    signal,
+    timeout = gameConfig.api.gemini.timeout,
+    model = gameConfig.api.gemini.model,
+    generationConfig,
+  } = options;
+
+  if (!isLLMConfigured()) {
+    throw new LLMError(
+      LLM_ERROR_TYPES.NOT_CONFIGURED,
+      "Gemini API key not configured. Set VITE_GEMINI_API_KEY in .env"
+    );
+  }
+  if (signal?.aborted) {
+    throw new LLMError(LLM_ERROR_TYPES.ABORTED, "Gemini request cancelled");
+  }
+  // Fail fast offline (cached answers are still served by cachedRequest)
+  if (!isOnline()) {
+    throw new LLMError(LLM_ERROR_TYPES.OFFLINE, "Gemini unavailable offline");
+  }
+
+  // Every request passes the scheduler (token bucket, daily quota, 429 cooldown)
+  const slot = await aiScheduler.acquire();
+  if (!slot.granted) {
+    const type = slot.reason === "rate_limit" ? LLM_ERROR_TYPES.RATE_LIMITED : LLM_ERROR_TYPES.QUOTA;
+    throw new LLMError(type, `Gemini request skipped (${slot.reason})`, { retryAfter: slot.retryAfter });
+  }
+
+  // One controller for both the caller's signal and our timeout
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    const response = await fetch(getEndpointUrl(model), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(!USE_PROXY && { "x-goog-api-key": GEMINI_API_KEY }),
+      },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: prompt }] }],
+        ...(generationConfig && { generationConfig }),
+      }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const error = await toHttpError(response);
+      if (error.type === LLM_ERROR_TYPES.QUOTA) {
+        aiScheduler.reportRateLimited(error.retryAfter);
+      }
+      throw error;
+    }
+    return await response.json();
+  } catch (error) {
+    if (error instanceof LLMError) throw error;
+    if (error.name === "AbortError") {
+      throw timedOut
+        ? new LLMError(LLM_ERROR_TYPES.TIMEOUT, `Gemini request timed out after ${timeout}ms`, { cause: error })
+        : new LLMError(LLM_ERROR_TYPES.ABORTED, "Gemini request cancelled", { cause: error });
+    }
+    throw new LLMError(LLM_ERROR_TYPES.NETWORK, `Gemini request failed: ${error.message}`, { cause: error });
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Send a prompt and return the trimmed text of the first candidate
+ * Throws EMPTY_RESPONSE when Gemini answers without text (e.g. safety block)
+ */
+export async function generateText(prompt, options = {}) {
+  const data = await generateContent(prompt, options);
+  const text = data?.candidates?.[0]?.content?.parts?.map((part) => part.text || "").join("").trim();
+
+  if (!text) {
+    const reason = data?.promptFeedback?.blockReason || data?.candidates?.[0]?.finishReason;
+    throw new LLMError(
+      LLM_ERROR_TYPES.EMPTY_RESPONSE,
+      `Empty response from Gemini${reason ? ` (${reason})` : ""}`
+    );
+  }
+  return text;
+}
+
+/**
+ * Parse JSON from model output, tolerating markdown fences and surrounding prose
+ */
+export function parseJSONResponse(text) {
+  const unfenced = String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    // Fall back to the first {...} block in the text
+    const start = unfenced.indexOf("{");
+    const end = unfenced.lastIndexOf("}");
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(unfenced.slice(start, end + 1));
+      } catch {
+        // handled below
+      }
+    }
+    throw new LLMError(LLM_ERROR_TYPES.INVALID_JSON, "Gemini did not return valid JSON");
+  }
+}
+
+/**
+ * Send a prompt that must answer with JSON matching `schema`
+ * (Gemini responseSchema format: { type: "OBJECT", properties: {...}, required: [...] })
+ */
+export async function generateJSON(prompt, schema, options = {}) {
+  const text = await generateText(prompt, {
+    ...options,
+    generationConfig: {
+      ...options.generationConfig,
+      responseMimeType: "application/json",
+      responseSchema: schema,
+    },
+  });
+  return parseJSONResponse(text);
+}
+
+/**
+ * Run an LLM request once per distinct input
+ * Results are stored through cacheManager for api.gemini.cacheTtl under a key holding the full
+ * serialized `inputs` (not a hash, so two prompts can never share an entry);
+ * concurrent calls with the same inputs share one pending request.
+ * Errors are never cached.
+ * @param {string} namespace - e.g. "validation", "hint"
+ * @param {Object} inputs - everything that determines the answer
+ * @param {Function} request - () => Promise<result>
+ */
+export async function cachedRequest(namespace, inputs, request) {
+  const key = `llm_${namespace}_${JSON.stringify(inputs)}`;
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const cached = await cacheManager.get(key);
+  if (cached) {
+    return cached.value;
+  }
+
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const pending = request()
+    .then(async (value) => {
+      await cacheManager.set(key, { value, cachedAt: Date.now() }, { ttl: gameConfig.api.gemini.cacheTtl });
+      return value;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, pending);
+  return pending;
+}
+
+export default {
+  generateContent,
+  generateText,
+  generateJSON,
+  parseJSONResponse,
+  cachedRequest,
+  isLLMConfigured,
+  LLMError,
+  LLM_ERROR_TYPES,
+  UNAVAILABLE_ERROR_TYPES,
+};
@@ -0,0 +1,132 @@
+/**
+ * Local Hints: rule-based progressive hints that need no AI provider
+ * Builds the same 0-4 ladder as the Gemini hints from round data we already
+ * have (category, tags, description, answer length and letters).
+ * Level 0 is the vaguest, level 4 nearly spells the answer out.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { stringUtils } from "./utils";
+
+const MAX_TAGS = 3;
+const MASK = "___";
+
+/**
+ * Words of the answer (lowercase), used to keep hints from leaking it
+ */
+function getAnswerWords(answer) {
+  return stringUtils.normalize(answer).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Words of every accepted answer - a hint must not hand out any of them
+ */
+function getProtectedWords(answer, acceptedAnswers = []) {
+  return [answer, ...acceptedAnswers].flatMap(getAnswerWords);
+}
+
+/**
+ * Whether a word is (part of) the answer, including simple plurals
+ */
+function leaksAnswer(word, answerWords) {
+  const w = stringUtils.normalize(word);
+  if (!w) return false;
+  const stem = w.replace(/e?s$/, "");
+  return answerWords.some((a) =>
+    w === a || (stem.length >= 3 && (w.startsWith(a) || a.startsWith(stem)))
+  );
+}
+
+/**
+ * Tags that don't contain the answer
+ */
+function getSafeTags(tags, answerWords) {
+  return (tags || [])
+    .map((tag) => String(tag).toLowerCase().trim())
+    .filter((tag) => tag && !tag.split(/\s+/).some((word) => leaksAnswer(word, answerWords)))
+    .slice(0, MAX_TAGS);
+}
+
+/**
+ * Description with answer words masked out, or "" if nothing useful remains
+ */
+function maskDescription(description, answerWords) {
+  const words = String(description || "").split(/\s+/).filter(Boolean);
+  const masked = words.map((word) => (leaksAnswer(word, answerWords) ? MASK : word));
+  const useful = masked.filter((word) => word !== MASK).length;
+  return useful >= 2 ? stringUtils.truncate(masked.join(" "), 80) : "";
+}
+
+/**
+ * Letter pattern showing every third letter: "golden retriever" -> "G _ _ D _ _ / R _ _ R _ _ V _ _"
+ */
+function getLetterPattern(answer) {
+  return getAnswerWords(answer)
+    .map((word) =>
+      word
+        .split("")
+        .map((char, i) => (i % 3 === 0 ? char.toUpperCase() : "_"))
+        .join(" ")
+    )
+    .join(" / ");
+}
+
+/**
+ * Describe the answer length: "7 letters" or "2 words (6, 9 letters)"
+ */
+function describeLength(answer) {
+  const words = getAnswerWords(answer);
+  if (words.length === 1) {
+    return `${words[0].length} letters`;
+  }
+  return `${words.length} words (${words.map((w) => w.length).join(", ")} letters)`;
+}
+
+/**
+ * Candidate hints for each level, most specific data first
+ */
+function buildLadder({ answer, category, tags, description, acceptedAnswers }) {
+  const answerWords = getAnswerWords(answer);
+  const protectedWords = getProtectedWords(answer, acceptedAnswers);
+  const safeTags = getSafeTags(tags, protectedWords);
+  const maskedDescription = maskDescription(description, protectedWords);
+  const safeCategory = category && !leaksAnswer(category, protectedWords) ? category : "";
+
+  return [
+    [
+      safeCategory && `Think about ${safeCategory.toLowerCase()}.`,
+      safeTags.length > 0 && `Related: ${safeTags.join(", ")}.`,
+    ],
+    [
+      maskedDescription && `Seen here: ${maskedDescription}`,
+      safeTags.length > 0 && `Related: ${safeTags.join(", ")}.`,
+    ],
+    [`The answer has ${describeLength(answer)}.`],
+    [`It starts with "${answerWords[0]?.charAt(0).toUpperCase() || "?"}" - ${describeLength(answer)}.`],
+    [`Pattern: ${getLetterPattern(answer)}`],
+  ];
+}
+
+/**
+ * Generate a local hint for a hint level (0-4)
+ * @param {Object} round - { answer, category, tags, description, acceptedAnswers }
+ * @param {number} level - hint level, clamped to gameConfig.hints.maxLevels
+ * @param {string[]} previousHints - hints already shown, skipped when possible
+ */
+export function generateLocalHint(round, level = 0, previousHints = []) {
+  const { maxLevels, fallbackHints } = gameConfig.hints;
+  const lvl = Math.max(0, Math.min(level, maxLevels));
+
+  if (!round?.answer) {
+    return fallbackHints[lvl] || fallbackHints[0];
+  }
+
+  const candidates = buildLadder(round)[lvl].filter(Boolean);
+  const fresh = candidates.find((hint) => !previousHints.some((prev) => prev.includes(hint)));
+
+  return fresh || candidates[0] || fallbackHints[lvl] || fallbackHints[0];
+}
+
+export default {
+  generateLocalHint,
+};
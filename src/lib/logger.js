@@ -1,3 +1,11 @@
+import { gameConfig } from "../config/gameConfig";
+import { storageUtils } from "./utils";
+import { isOnline, enqueueSync, registerSyncHandler, flushSyncQueue } from "./offline";
+import { getAnalyticsSink, getAnalyticsSinks } from "./analyticsSinks";
+
+// Events not yet flushed, so a reload doesn't lose them
+const EVENTS_STORAGE_KEY = "pixelpeek_analytics_queue";
+
 /**
  * PerformanceLogger: Track and log performance metrics
  */
@@ -68,12 +76,29 @@ class PerformanceLogger {
 
 /**
  * Analytics Service: Track user interactions and events
+ * Events are persisted until flushed, then sent in batches (gameConfig.analytics
+ * batchSize / batchInterval) to every configured sink (src/lib/analyticsSinks.js).
  */
 class AnalyticsService {
   constructor() {
-    this.events = [];
+    this.events = storageUtils.getLocal(EVENTS_STORAGE_KEY) || [];
     this.sessionId = this.generateSessionId();
     this.startTime = Date.now();
+    this.listeners = new Set();
+    this.flushTimer = null;
+    this.enabled = gameConfig.analytics.enabled && gameConfig.features.enableAnalytics;
+
+    // Events left over from the previous page load
+    if (this.events.length > 0) this.scheduleFlush();
+  }
+
+  /**
+   * Subscribe to every tracked event: (event) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
   /**
@@ -94,24 +119,35 @@ class AnalyticsService {
       data: eventData,
     };
 
-    this.events.push(event);
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Analytics listener failed for ${eventName}:`, error);
+      }
+    });
 
     // Log locally for debugging
     console.log(`[Event] ${eventName}`, eventData);
 
-    // Could send to analytics service here
-    this.maybeSendToServer();
+    if (!this.enabled) return;
+    this.events.push(event);
+    this.persistEvents();
+    this.scheduleFlush();
   }
 
   /**
    * Track a game score
+   * `details` carries extra round context (mode, streak, multiplier, ...)
    */
-  trackGameScore(score, correct, hints, category) {
+  trackGameScore(score, correct, hints, category, difficulty, details = {}) {
     this.trackEvent("game_completed", {
       score,
       correct,
       hints_used: hints,
       category,
+      difficulty,
+      ...details,
       duration: Date.now() - this.startTime,
     });
   }
@@ -119,20 +155,24 @@ class AnalyticsService {
   /**
    * Track hint usage
    */
-  trackHintUsed(hintLevel, category) {
+  trackHintUsed(hintLevel, category, source) {
     this.trackEvent("hint_used", {
       level: hintLevel,
       category,
+      source,
     });
   }
 
   /**
    * Track guess attempt
    */
-  trackGuessAttempt(guess, correct) {
+  trackGuessAttempt(guess, correct, proximity) {
     this.trackEvent("guess_attempt", {
       guess,
       correct,
+      proximity: proximity?.id,
+      proximity_score: proximity?.score,
+      proximity_signal: proximity?.signal,
     });
   }
 
@@ -167,50 +207,102 @@ class AnalyticsService {
   }
 
   /**
-   * Send events to server (batch)
+   * Save unsent events (the oldest are dropped beyond analytics.maxQueuedEvents)
+   * When localStorage is full, the older half is dropped until the rest fits.
    */
-  async maybeSendToServer() {
-    // Batch every 5 events or periodically
-    if (this.events.length % 5 === 0 && this.events.length > 0) {
+  persistEvents() {
+    this.events = this.events.slice(-gameConfig.analytics.maxQueuedEvents);
+    for (;;) {
+      try {
+        storageUtils.setLocal(EVENTS_STORAGE_KEY, this.events);
+        return;
+      } catch (error) {
+        if (this.events.length === 0) {
+          console.warn("Failed to save analytics events:", error);
+          return;
+        }
+        this.events = this.events.slice(Math.ceil(this.events.length / 2));
+      }
+    }
+  }
+
+  /**
+   * Flush when a full batch is queued, otherwise within analytics.batchInterval
+   */
+  scheduleFlush() {
+    const { batchSize, batchInterval } = gameConfig.analytics;
+    if (this.events.length >= batchSize) {
       this.flushEvents();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushEvents(), batchInterval);
     }
   }
 
   /**
-   * Flush all events (send to server)
+   * Flush all events to every sink
+   * A sink that fails (or needs the network while offline) gets the batch
+   * through the offline sync queue, so the other sinks aren't sent it twice.
+   * @param {Object} [options]
+   * @param {boolean} [options.beacon] - the page is unloading: use sink.beacon()
    */
-  async flushEvents() {
+  async flushEvents({ beacon = false } = {}) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
     if (this.events.length === 0) return;
 
+    const payload = {
+      sessionId: this.sessionId,
+      events: this.events,
+      timestamp: Date.now(),
+    };
+    // Clear events before sending so new events start a new batch
+    this.events = [];
+    this.persistEvents();
+
+    await Promise.all(getAnalyticsSinks().map((sink) => this.deliver(sink, payload, beacon)));
+
+    // Retry batches that failed earlier
+    if (!beacon && isOnline()) flushSyncQueue();
+  }
+
+  /**
+   * Send one batch to one sink, queueing it for later on failure
+   */
+  async deliver(sink, payload, beacon) {
+    const queue = () => enqueueSync("analytics", { sink: sink.name, payload });
+
+    if (sink.requiresNetwork && !isOnline()) {
+      queue();
+      return;
+    }
+
+    // Async sends may not finish while the page unloads; only beacons are sent now
+    if (beacon) {
+      if (!sink.beacon?.(payload)) queue();
+      return;
+    }
+
     try {
-      // Example: Send to your analytics endpoint
-      const payload = {
-        sessionId: this.sessionId,
-        events: this.events,
-        timestamp: Date.now(),
-      };
-
-      console.log("Would send analytics:", payload);
-      
-      // Uncomment to send to actual server:
-      // await fetch('/api/analytics', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(payload),
-      // });
-
-      // Clear events after sending
-      this.events = [];
+      await sink.send(payload);
     } catch (error) {
-      console.error("Failed to send analytics:", error);
+      console.error(`Failed to send analytics to ${sink.name}:`, error);
+      queue();
     }
   }
 
+  /**
+   * Flush with navigator.sendBeacon (call on pagehide)
+   */
+  flushOnPageHide() {
+    this.flushEvents({ beacon: true });
+  }
+
   /**
    * Clear events without sending
    */
   clear() {
     this.events = [];
+    this.persistEvents();
   }
 }
 
@@ -218,6 +310,11 @@ class AnalyticsService {
 export const performanceLogger = new PerformanceLogger();
 export const analyticsService = new AnalyticsService();
 
+// Batches a sink couldn't take (offline, failed or unloading)
+registerSyncHandler("analytics", async ({ sink, payload }) => {
+  await getAnalyticsSink(sink)?.send(payload);
+});
+
 /**
  * Hook-friendly wrapper for performance measurement
  */
@@ -0,0 +1,151 @@
+/**
+ * Offline support (gameConfig.features.enableOfflineSupport)
+ * - registers the service worker (public/sw.js) that precaches the app shell
+ * - reports connectivity (navigator.onLine + online/offline events)
+ * - keeps a persisted queue of work made offline (e.g. analytics batches)
+ *   that is replayed through registered handlers once the connection returns
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { storageUtils } from "./utils";
+
+const SYNC_QUEUE_KEY = "pixelpeek_sync_queue";
+
+// type -> async (payload) => void
+const syncHandlers = new Map();
+const queueListeners = new Set();
+// Items already sent this page load, skipped even if removing them from storage failed
+const syncedIds = new Set();
+let flushing = null;
+
+/**
+ * Whether the browser reports a network connection
+ */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+/**
+ * Register the service worker (production builds only)
+ */
+export async function registerServiceWorker() {
+  if (!gameConfig.features.enableOfflineSupport || !import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register("/sw.js");
+    console.log("Service worker registered");
+    return registration;
+  } catch (error) {
+    console.warn("Service worker registration failed:", error);
+    return null;
+  }
+}
+
+function loadQueue() {
+  return (storageUtils.getLocal(SYNC_QUEUE_KEY) || []).filter((item) => !syncedIds.has(item.id));
+}
+
+/**
+ * Save the queue; when localStorage is full the older half is dropped until the rest fits
+ */
+function saveQueue(queue) {
+  let remaining = queue;
+  for (;;) {
+    try {
+      storageUtils.setLocal(SYNC_QUEUE_KEY, remaining);
+      break;
+    } catch (error) {
+      if (remaining.length === 0) {
+        console.warn("Failed to save sync queue:", error);
+        break;
+      }
+      remaining = remaining.slice(Math.ceil(remaining.length / 2));
+    }
+  }
+  const pending = loadQueue().length;
+  queueListeners.forEach((listener) => listener(pending));
+}
+
+/**
+ * Queue work to replay when back online (the oldest items are dropped beyond offline.maxQueuedItems)
+ */
+export function enqueueSync(type, payload) {
+  const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const queue = [...loadQueue(), { id, type, payload, queuedAt: Date.now() }];
+  saveQueue(queue.slice(-gameConfig.offline.maxQueuedItems));
+}
+
+/**
+ * Handle queued items of a type: async (payload) => void (throw to retry later)
+ */
+export function registerSyncHandler(type, handler) {
+  syncHandlers.set(type, handler);
+}
+
+/**
+ * Number of queued items
+ */
+export function getPendingSyncCount() {
+  return loadQueue().length;
+}
+
+/**
+ * Subscribe to queue size changes
+ * @returns {Function} unsubscribe
+ */
+export function subscribeSyncQueue(listener) {
+  queueListeners.add(listener);
+  return () => queueListeners.delete(listener);
+}
+
+/**
+ * Replay queued items in order; stops at the first failure and keeps the rest
+ * @returns {Promise<number>} items synced
+ */
+export function flushSyncQueue() {
+  if (flushing) return flushing;
+  if (!isOnline()) return Promise.resolve(0);
+
+  flushing = (async () => {
+    let synced = 0;
+    for (const item of loadQueue()) {
+      const handler = syncHandlers.get(item.type);
+      if (!handler) continue;
+
+      try {
+        await handler(item.payload);
+      } catch (error) {
+        console.warn(`Sync of ${item.type} failed, will retry:`, error);
+        break;
+      }
+
+      // Re-read so items queued meanwhile are kept
+      syncedIds.add(item.id);
+      saveQueue(loadQueue().filter((queued) => queued.id !== item.id));
+      synced += 1;
+    }
+    return synced;
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => {
+    flushSyncQueue();
+  });
+}
+
+export default {
+  isOnline,
+  registerServiceWorker,
+  enqueueSync,
+  registerSyncHandler,
+  getPendingSyncCount,
+  subscribeSyncQueue,
+  flushSyncQueue,
+};
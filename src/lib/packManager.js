@@ -0,0 +1,198 @@
+/**
+ * Pack Manager: custom image packs stored in IndexedDB (via CacheManager)
+ *
+ * A pack is a JSON manifest plus image files (or inline data URLs):
+ * {
+ *   "id": "office-events",
+ *   "name": "Office Events",
+ *   "description": "Photos from team events",
+ *   "entries": [
+ *     {
+ *       "image": "party.jpg",            // file name, data URL or absolute URL
+ *       "answer": "party",
+ *       "aliases": ["celebration"],
+ *       "category": "events",            // optional, defaults to the pack name
+ *       "description": "...",            // optional
+ *       "hints": ["level 0 hint", "..."] // optional, one per hint level
+ *     }
+ *   ]
+ * }
+ */
+
+import { cacheManager } from "./cacheManager";
+import { StaticRoundsProvider } from "./imageProviders";
+import { registerAliases } from "./synonymDictionary";
+
+const PACK_INDEX_KEY = "packs_index";
+const PACK_KEY_PREFIX = "pack_";
+
+// Provider instances per pack id (keep deck state between rounds)
+const packProviders = new Map();
+
+/**
+ * Read a File as a data URL
+ */
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Turn a pack name into a storage-safe id
+ */
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * List imported packs (summary only, no image data)
+ */
+export async function listPacks() {
+  return (await cacheManager.get(PACK_INDEX_KEY)) || [];
+}
+
+/**
+ * Get a full pack by id
+ */
+export async function getPack(packId) {
+  return (await cacheManager.get(`${PACK_KEY_PREFIX}${packId}`)) || null;
+}
+
+/**
+ * Save a parsed pack and add it to the pack index
+ */
+export async function savePack(pack) {
+  await cacheManager.set(`${PACK_KEY_PREFIX}${pack.id}`, pack);
+  packProviders.delete(pack.id);
+
+  const summary = {
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    count: pack.entries.length,
+    importedAt: pack.importedAt,
+  };
+  const index = (await listPacks()).filter((p) => p.id !== pack.id);
+  await cacheManager.set(PACK_INDEX_KEY, [...index, summary]);
+
+  return summary;
+}
+
+/**
+ * Remove a pack and its index entry
+ */
+export async function deletePack(packId) {
+  const index = (await listPacks()).filter((p) => p.id !== packId);
+  await cacheManager.set(PACK_INDEX_KEY, index);
+  await cacheManager.delete(`${PACK_KEY_PREFIX}${packId}`);
+  packProviders.delete(packId);
+}
+
+/**
+ * Import a pack from selected files: one .json manifest plus its image files
+ * @param {FileList|File[]} fileList - files chosen in the pack picker
+ * @returns {Promise<Object>} pack summary
+ */
+export async function importPack(fileList) {
+  const files = Array.from(fileList);
+  const manifestFile = files.find((file) => file.name.toLowerCase().endsWith(".json"));
+  if (!manifestFile) {
+    throw new Error("Pack import needs a .json manifest");
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await manifestFile.text());
+  } catch (error) {
+    throw new Error(`Invalid pack manifest: ${error.message}`);
+  }
+
+  const rawEntries = manifest.entries || manifest.rounds || [];
+  if (!manifest.name || rawEntries.length === 0) {
+    throw new Error("Pack manifest needs a name and at least one entry");
+  }
+
+  const imageFiles = new Map(
+    files.filter((file) => file !== manifestFile).map((file) => [file.name, file])
+  );
+
+  const packId = slugify(manifest.id || manifest.name);
+  const entries = [];
+
+  for (const [index, entry] of rawEntries.entries()) {
+    if (!entry.image || !entry.answer) {
+      throw new Error(`Pack entry ${index + 1} needs an image and an answer`);
+    }
+
+    let imageUrl = entry.image;
+    if (!/^(data:|https?:|blob:)/.test(imageUrl)) {
+      const file = imageFiles.get(imageUrl.split("/").pop());
+      if (!file) {
+        throw new Error(`Missing image file "${entry.image}" for entry ${index + 1}`);
+      }
+      imageUrl = await readFileAsDataUrl(file);
+    }
+
+    entries.push({
+      id: `${packId}-${entry.id || index}`,
+      imageUrl,
+      answer: String(entry.answer).trim(),
+      aliases: (entry.aliases || []).map((alias) => String(alias).trim()).filter(Boolean),
+      category: entry.category || manifest.name,
+      description: entry.description || entry.category || manifest.name,
+      hints: entry.hints || [],
+      tags: entry.tags || [],
+    });
+  }
+
+  return savePack({
+    id: packId,
+    name: manifest.name,
+    description: manifest.description || "",
+    entries,
+    importedAt: Date.now(),
+  });
+}
+
+/**
+ * Image provider that draws rounds from a stored pack
+ */
+export class PackProvider extends StaticRoundsProvider {
+  constructor(pack) {
+    super(`pack:${pack.id}`);
+    this.pack = pack;
+  }
+
+  async loadEntries() {
+    // Pack aliases also feed the shared synonym dictionary
+    this.pack.entries.forEach((entry) => registerAliases(entry.answer, entry.aliases, entry.category));
+
+    return this.pack.entries.map((entry) => ({
+      ...entry,
+      attribution: { name: this.pack.name, url: "", source: "pack" },
+    }));
+  }
+}
+
+/**
+ * Get (and cache) the provider for a pack, or null if the pack no longer exists
+ */
+export async function getPackProvider(packId) {
+  if (packProviders.has(packId)) {
+    return packProviders.get(packId);
+  }
+
+  const pack = await getPack(packId);
+  if (!pack) return null;
+
+  const provider = new PackProvider(pack);
+  packProviders.set(packId, provider);
+  return provider;
+}
@@ -0,0 +1,218 @@
+/**
+ * Player Profiles: named local players sharing one browser
+ * The profile list lives in localStorage (`pixelpeek_profiles`). Everything
+ * that belongs to a player (best scores, settings, theme, daily progress,
+ * achievements, round history) goes through `profileStorage`, which scopes
+ * keys to the active profile. Device-level data (caches, AI quota, sync
+ * queue, custom aliases) stays global.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { storageUtils } from "./utils";
+
+const PROFILES_KEY = "pixelpeek_profiles";
+const SCOPED_PREFIX = "pixelpeek_profile_";
+// 2: per-round leaderboards replaced the single high score (a session total)
+const STATE_VERSION = 2;
+
+// Global keys from before profiles, moved into the first profile
+const LEGACY_KEYS = {
+  difficulty: "pixelpeek_difficulty",
+  reveal: "pixelpeek_reveal",
+  active_pack: "pixelpeek_active_pack",
+  daily: "pixelpeek_daily",
+  achievements: "pixelpeek_achievements",
+  theme: "pixelpeekTheme",
+  theme_modal_shown: "pixelpeekThemeModalShown",
+};
+
+// Profile that inherited the pre-profile data (and the unsuffixed history DB)
+const LEGACY_PROFILE_ID = "default";
+
+const listeners = new Set();
+
+/**
+ * localStorage key of `key` for a profile
+ */
+function scopedKey(profileId, key) {
+  return `${SCOPED_PREFIX}${profileId}_${key}`;
+}
+
+/**
+ * Parse a stored value; legacy keys may hold plain strings
+ */
+function parseStored(raw) {
+  if (raw === null) return null;
+  return storageUtils.safeParse(raw, raw);
+}
+
+/**
+ * Create the first profile and move the global keys into it
+ */
+function migrateLegacyData() {
+  const profile = {
+    id: LEGACY_PROFILE_ID,
+    name: gameConfig.profiles.defaultName,
+    avatar: gameConfig.profiles.avatars[0],
+    createdAt: Date.now(),
+  };
+
+  Object.entries(LEGACY_KEYS).forEach(([key, legacyKey]) => {
+    const raw = localStorage.getItem(legacyKey);
+    if (raw === null) return;
+    storageUtils.setLocal(scopedKey(profile.id, key), parseStored(raw));
+    localStorage.removeItem(legacyKey);
+  });
+
+  // Not comparable with per-round leaderboard scores
+  localStorage.removeItem("pixelpeek_highscore");
+
+  const state = { version: STATE_VERSION, activeId: profile.id, profiles: [profile] };
+  storageUtils.setLocal(PROFILES_KEY, state);
+  return state;
+}
+
+/**
+ * Upgrade stored profiles to STATE_VERSION
+ */
+function upgradeState(state) {
+  if ((state.version || 1) < 2) {
+    // The old high score was a session total; leaderboards rank single rounds
+    state.profiles.forEach((profile) => localStorage.removeItem(scopedKey(profile.id, "highscore")));
+  }
+  const upgraded = { ...state, version: STATE_VERSION };
+  storageUtils.setLocal(PROFILES_KEY, upgraded);
+  return upgraded;
+}
+
+/**
+ * Stored profile list and active profile id
+ */
+function loadState() {
+  let stored = storageUtils.getLocal(PROFILES_KEY);
+  if (!stored?.profiles?.length) return migrateLegacyData();
+  if (stored.version !== STATE_VERSION) stored = upgradeState(stored);
+  if (!stored.profiles.some((profile) => profile.id === stored.activeId)) {
+    stored.activeId = stored.profiles[0].id;
+  }
+  return stored;
+}
+
+function saveState(state) {
+  storageUtils.setLocal(PROFILES_KEY, state);
+  listeners.forEach((listener) => listener(getActiveProfile()));
+}
+
+/**
+ * All profiles, oldest first
+ */
+export function getProfiles() {
+  return loadState().profiles;
+}
+
+/**
+ * The profile currently playing
+ */
+export function getActiveProfile() {
+  const { activeId, profiles } = loadState();
+  return profiles.find((profile) => profile.id === activeId);
+}
+
+/**
+ * Add a profile (it does not become active)
+ * @throws {Error} on an empty or duplicate name, or when the profile limit is reached
+ */
+export function createProfile({ name, avatar }) {
+  const state = loadState();
+  const trimmed = String(name || "").trim().slice(0, gameConfig.profiles.maxNameLength);
+
+  if (!trimmed) throw new Error("Profile name is required");
+  if (state.profiles.length >= gameConfig.profiles.maxProfiles) {
+    throw new Error(`At most ${gameConfig.profiles.maxProfiles} profiles`);
+  }
+  if (state.profiles.some((profile) => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`"${trimmed}" already exists`);
+  }
+
+  const profile = {
+    id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed,
+    avatar: gameConfig.profiles.avatars.includes(avatar) ? avatar : gameConfig.profiles.avatars[0],
+    createdAt: Date.now(),
+  };
+
+  saveState({ ...state, profiles: [...state.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Make a profile the active one
+ */
+export function switchProfile(id) {
+  const state = loadState();
+  if (state.activeId === id || !state.profiles.some((profile) => profile.id === id)) return;
+  saveState({ ...state, activeId: id });
+}
+
+/**
+ * Remove a profile and its scoped data (the last profile can't be deleted)
+ */
+export function deleteProfile(id) {
+  const state = loadState();
+  if (state.profiles.length <= 1) throw new Error("Can't delete the only profile");
+
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(scopedKey(id, "")))
+    .forEach((key) => localStorage.removeItem(key));
+  indexedDB.deleteDatabase(getProfileDBName(gameConfig.history.dbName, id));
+
+  const profiles = state.profiles.filter((profile) => profile.id !== id);
+  const activeId = state.activeId === id ? profiles[0].id : state.activeId;
+  saveState({ ...state, activeId, profiles });
+}
+
+/**
+ * Subscribe to profile changes: (activeProfile) => void
+ * @returns {Function} unsubscribe
+ */
+export function subscribeProfiles(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * IndexedDB name for a profile's own database
+ * The first profile keeps the unsuffixed name from before profiles existed.
+ */
+export function getProfileDBName(baseName, profileId = getActiveProfile().id) {
+  return profileId === LEGACY_PROFILE_ID ? baseName : `${baseName}_${profileId}`;
+}
+
+/**
+ * Storage scoped to the active profile (values are JSON)
+ */
+export const profileStorage = {
+  get: (key, fallback = null) => {
+    const value = parseStored(localStorage.getItem(scopedKey(getActiveProfile().id, key)));
+    return value === null ? fallback : value;
+  },
+
+  set: (key, value) => {
+    storageUtils.setLocal(scopedKey(getActiveProfile().id, key), value);
+  },
+
+  remove: (key) => {
+    localStorage.removeItem(scopedKey(getActiveProfile().id, key));
+  },
+};
+
+export default {
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  switchProfile,
+  deleteProfile,
+  subscribeProfiles,
+  getProfileDBName,
+  profileStorage,
+};
@@ -0,0 +1,69 @@
+/**
+ * Proximity: graded warm/cold feedback for a wrong guess
+ * Combines three signals into one 0-1 score:
+ *   - lexical:  the validator's fuzzy/Jaccard confidence
+ *   - semantic: Gemini's similarity rating (when the AI was consulted)
+ *   - context:  the guess names something tagged in or described by the image
+ * The strongest signal wins and maps to a level in gameConfig.proximity.levels.
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { tokenize } from "./textNormalizer";
+
+const MIN_CONTEXT_WORD_LENGTH = 4;
+
+/**
+ * Score for the guess naming something in the round's tags or description
+ */
+function getContextScore(guess, round = {}, description = "") {
+  const { tagMatchScore, descriptionMatchScore } = gameConfig.proximity;
+  const guessTokens = tokenize(guess).filter((token) => token.length >= MIN_CONTEXT_WORD_LENGTH);
+  if (guessTokens.length === 0) return 0;
+
+  const tagTokens = new Set((round.tags || []).flatMap(tokenize));
+  if (guessTokens.some((token) => tagTokens.has(token))) {
+    return tagMatchScore;
+  }
+
+  const descriptionTokens = new Set(tokenize(description));
+  if (guessTokens.some((token) => descriptionTokens.has(token))) {
+    return descriptionMatchScore;
+  }
+
+  return 0;
+}
+
+/**
+ * Map a 0-1 score to a proximity level
+ */
+export function getProximityLevel(score) {
+  const { levels } = gameConfig.proximity;
+  return [...levels].reverse().find((level) => score >= level.min) || levels[0];
+}
+
+/**
+ * Proximity of a rejected guess
+ * @param {Object} validation - result of validateAnswerBatch / validateAnswerAdvanced
+ * @param {string} guess - the player's guess
+ * @param {Object} round - round metadata ({ tags })
+ * @param {string} description - image description
+ * @returns {{ id: string, label: string, score: number, signal: string }}
+ */
+export function getGuessProximity(validation, guess, round, description) {
+  const results = validation.allResults || [validation];
+  const signals = {
+    lexical: Math.max(0, ...results.map((result) => result.confidence || 0)),
+    semantic: Math.max(0, ...results.map((result) => result.semanticConfidence ?? 0)),
+    context: getContextScore(guess, round, description),
+  };
+
+  const [signal, score] = Object.entries(signals).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  const level = getProximityLevel(score);
+
+  return { id: level.id, label: level.label, score: Math.round(score * 100) / 100, signal };
+}
+
+export default {
+  getProximityLevel,
+  getGuessProximity,
+};
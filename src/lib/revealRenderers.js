@@ -0,0 +1,169 @@
+/**
+ * Reveal Renderers: canvas drawing strategies for uncovering the round image
+ * Each renderer draws `image` onto a square canvas for a reveal progress
+ * between 0 (fully hidden) and 1 (fully revealed).
+ */
+
+import { gameConfig } from "../config/gameConfig";
+import { arrayUtils, stringUtils } from "./utils";
+
+const COVER_COLOR = "#0a0a0a";
+const GRID_COLOR = "rgba(255, 215, 0, 0.15)";
+
+/**
+ * Small seeded PRNG (mulberry32) so tile order is stable per image
+ */
+function createRandom(seed) {
+  let t = stringUtils.hash(seed);
+  return () => {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw the image center-cropped to fill the destination rect (object-fit: cover)
+ */
+function drawCover(ctx, image, dx, dy, dw, dh) {
+  const iw = image.naturalWidth || image.width;
+  const ih = image.naturalHeight || image.height;
+  const scale = Math.max(dw / iw, dh / ih);
+  const sw = dw / scale;
+  const sh = dh / scale;
+  ctx.drawImage(image, (iw - sw) / 2, (ih - sh) / 2, sw, sh, dx, dy, dw, dh);
+}
+
+/**
+ * Pixelate: mosaic blocks that shrink as progress grows
+ */
+function drawPixelated(ctx, image, progress) {
+  const size = ctx.canvas.width;
+  const { maxBlockSize } = gameConfig.reveal.pixelate;
+  const blockSize = Math.max(1, Math.round(maxBlockSize * Math.pow(1 - progress, 2)));
+
+  if (blockSize <= 1) {
+    drawCover(ctx, image, 0, 0, size, size);
+    return;
+  }
+
+  // Downscale into a tiny buffer, then scale back up without smoothing
+  const blocks = Math.ceil(size / blockSize);
+  const buffer = document.createElement("canvas");
+  buffer.width = blocks;
+  buffer.height = blocks;
+  drawCover(buffer.getContext("2d"), image, 0, 0, blocks, blocks);
+
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(buffer, 0, 0, blocks, blocks, 0, 0, size, size);
+  ctx.imageSmoothingEnabled = true;
+}
+
+/**
+ * Tiles: a seeded random set of grid cells is uncovered step by step
+ */
+function drawTiles(ctx, image, progress, { seed }) {
+  const size = ctx.canvas.width;
+  const { gridSize, initialReveal } = gameConfig.reveal.tiles;
+  const tileSize = size / gridSize;
+  const total = gridSize * gridSize;
+
+  const random = createRandom(seed);
+  const order = Array.from({ length: total }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const revealed = Math.round((initialReveal + (1 - initialReveal) * progress) * total);
+  const visible = new Set(order.slice(0, revealed));
+
+  drawCover(ctx, image, 0, 0, size, size);
+
+  ctx.fillStyle = COVER_COLOR;
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 2;
+  for (let index = 0; index < total; index++) {
+    if (visible.has(index)) continue;
+    const x = (index % gridSize) * tileSize;
+    const y = Math.floor(index / gridSize) * tileSize;
+    ctx.fillRect(x, y, tileSize, tileSize);
+    ctx.strokeRect(x + 1, y + 1, tileSize - 2, tileSize - 2);
+  }
+}
+
+/**
+ * Spotlight: a keyhole that wanders over the image and widens with progress
+ */
+function drawSpotlight(ctx, image, progress, { time = 0 }) {
+  const size = ctx.canvas.width;
+  const { minRadius, maxRadius, speed } = gameConfig.reveal.spotlight;
+
+  if (progress >= 1) {
+    drawCover(ctx, image, 0, 0, size, size);
+    return;
+  }
+
+  const radius = (minRadius + (maxRadius - minRadius) * progress) * size;
+  const travel = (size / 2 - radius / 2) * 0.9;
+  const cx = size / 2 + Math.sin(time * speed) * travel;
+  const cy = size / 2 + Math.sin(time * speed * 1.37 + 1) * travel;
+
+  ctx.fillStyle = COVER_COLOR;
+  ctx.fillRect(0, 0, size, size);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.clip();
+  drawCover(ctx, image, 0, 0, size, size);
+
+  // Soft vignette at the keyhole edge
+  const edge = ctx.createRadialGradient(cx, cy, radius * 0.7, cx, cy, radius);
+  edge.addColorStop(0, "rgba(0, 0, 0, 0)");
+  edge.addColorStop(1, "rgba(0, 0, 0, 0.85)");
+  ctx.fillStyle = edge;
+  ctx.fillRect(0, 0, size, size);
+  ctx.restore();
+}
+
+/**
+ * Canvas renderers by reveal mode ("blur" stays a CSS filter on <img>)
+ */
+export const REVEAL_RENDERERS = {
+  pixelate: { draw: drawPixelated, animated: false },
+  tiles: { draw: drawTiles, animated: false },
+  spotlight: { draw: drawSpotlight, animated: true },
+};
+
+/**
+ * Whether a reveal mode draws on a canvas
+ */
+export function isCanvasReveal(mode) {
+  return Boolean(REVEAL_RENDERERS[mode]);
+}
+
+/**
+ * Resolve the reveal setting to a concrete mode for one round
+ * "auto" uses the theme's preferred mode, otherwise a random one
+ */
+export function pickRevealMode(setting, theme) {
+  const { modes, themeDefaults } = gameConfig.reveal;
+
+  if (modes.includes(setting)) {
+    return setting;
+  }
+  if (themeDefaults[theme]) {
+    return themeDefaults[theme];
+  }
+  return arrayUtils.random(modes);
+}
+
+/**
+ * Map the current blur to reveal progress (0 = start of round, 1 = clear)
+ */
+export function getRevealProgress(blur, initialBlur) {
+  if (!initialBlur) return 1;
+  return Math.min(1, Math.max(0, 1 - blur / initialBlur));
+}
@@ -0,0 +1,146 @@
+/**
+ * Synonym Dictionary: accepted aliases per answer for offline validation
+ * Three layers are merged on lookup:
+ *   1. bundled  - src/config/synonyms.js
+ *   2. runtime  - registered by image packs while they are loaded
+ *   3. user     - added by the player, persisted in localStorage
+ * Aliases are scoped by category; "*" applies to an answer in any category.
+ */
+
+import { SYNONYMS } from "../config/synonyms";
+import { storageUtils } from "./utils";
+
+const USER_ALIASES_KEY = "pixelpeek_user_aliases";
+const ANY_CATEGORY = "*";
+
+// category -> answer -> Set of aliases
+const runtimeAliases = new Map();
+
+/**
+ * Normalize a dictionary key or alias (lowercase, single spaces)
+ */
+function normalizeTerm(term) {
+  return String(term || "").toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Read player-defined aliases
+ */
+function loadUserAliases() {
+  return storageUtils.safeParse(localStorage.getItem(USER_ALIASES_KEY)) || {};
+}
+
+/**
+ * Own-property lookup (answers like "constructor" must not hit Object.prototype)
+ */
+function ownEntry(table, key) {
+  return table && Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+}
+
+/**
+ * Get every accepted alias for an answer
+ * Without a category (or when the category has no entry for the answer),
+ * aliases for the answer in any category are used
+ * @returns {string[]} normalized aliases (never includes the answer itself)
+ */
+export function getAliases(answer, category) {
+  const key = normalizeTerm(answer);
+  if (!key) return [];
+
+  const userAliases = loadUserAliases();
+  const categories = category
+    ? [normalizeTerm(category), ANY_CATEGORY]
+    : [...Object.keys(SYNONYMS), ...runtimeAliases.keys(), ...Object.keys(userAliases), ANY_CATEGORY];
+
+  const aliases = new Set();
+  for (const cat of new Set(categories)) {
+    const sources = [
+      ownEntry(ownEntry(SYNONYMS, cat), key),
+      runtimeAliases.get(cat)?.get(key),
+      ownEntry(ownEntry(userAliases, cat), key),
+    ];
+    sources.forEach((list) => list?.forEach((alias) => aliases.add(normalizeTerm(alias))));
+  }
+
+  aliases.delete(key);
+  aliases.delete("");
+  if (aliases.size === 0 && category) {
+    return getAliases(answer);
+  }
+  return [...aliases];
+}
+
+/**
+ * Whether a guess is a known alias of the answer
+ */
+export function isAlias(guess, answer, category) {
+  const normalizedGuess = normalizeTerm(guess);
+  return Boolean(normalizedGuess) && getAliases(answer, category).includes(normalizedGuess);
+}
+
+/**
+ * Register aliases for the current page session (used by image packs)
+ */
+export function registerAliases(answer, aliases, category = ANY_CATEGORY) {
+  const cat = normalizeTerm(category);
+  const key = normalizeTerm(answer);
+  if (!key || !aliases?.length) return;
+
+  if (!runtimeAliases.has(cat)) {
+    runtimeAliases.set(cat, new Map());
+  }
+  const entries = runtimeAliases.get(cat);
+  const existing = entries.get(key) || new Set();
+  aliases.forEach((alias) => existing.add(normalizeTerm(alias)));
+  entries.set(key, existing);
+}
+
+/**
+ * Persist a player-defined alias ("count my guess as correct next time")
+ */
+export function addUserAlias(answer, alias, category = ANY_CATEGORY) {
+  const cat = normalizeTerm(category);
+  const key = normalizeTerm(answer);
+  const value = normalizeTerm(alias);
+  if (!key || !value || key === value) return;
+
+  const userAliases = loadUserAliases();
+  userAliases[cat] = userAliases[cat] || {};
+  const existing = userAliases[cat][key] || [];
+  if (!existing.includes(value)) {
+    userAliases[cat][key] = [...existing, value];
+    storageUtils.setLocal(USER_ALIASES_KEY, userAliases);
+  }
+}
+
+/**
+ * Remove a player-defined alias
+ */
+export function removeUserAlias(answer, alias, category = ANY_CATEGORY) {
+  const cat = normalizeTerm(category);
+  const key = normalizeTerm(answer);
+  const userAliases = loadUserAliases();
+  if (!userAliases[cat]?.[key]) return;
+
+  userAliases[cat][key] = userAliases[cat][key].filter((a) => a !== normalizeTerm(alias));
+  if (userAliases[cat][key].length === 0) {
+    delete userAliases[cat][key];
+  }
+  storageUtils.setLocal(USER_ALIASES_KEY, userAliases);
+}
+
+/**
+ * All player-defined aliases ({ category: { answer: [aliases] } })
+ */
+export function getUserAliases() {
+  return loadUserAliases();
+}
+
+export default {
+  getAliases,
+  isAlias,
+  registerAliases,
+  addUserAlias,
+  removeUserAlias,
+  getUserAliases,
+};
@@ -0,0 +1,118 @@
+/**
+ * Text Normalizer: morphology-aware normalization for answer matching
+ * Folds accents ("café" -> "cafe"), splits hyphenated and joined words
+ * ("sun-rise" -> "sun rise") and singularizes English plurals, so cheap
+ * local checks catch variants before any Gemini call.
+ */
+
+// Irregular plurals (plural -> singular)
+const IRREGULAR_PLURALS = {
+  people: "person",
+  men: "man",
+  women: "woman",
+  children: "child",
+  mice: "mouse",
+  geese: "goose",
+  feet: "foot",
+  teeth: "tooth",
+  oxen: "ox",
+  leaves: "leaf",
+  wolves: "wolf",
+  knives: "knife",
+  lives: "life",
+  wives: "wife",
+  loaves: "loaf",
+  shelves: "shelf",
+  cacti: "cactus",
+  fungi: "fungus",
+};
+
+// Words ending in "s" that are not plurals
+const NOT_PLURAL = new Set([
+  "glass", "grass", "bus", "gas", "lens", "news", "series", "species", "chess",
+  "canvas", "cactus", "octopus", "virus", "campus", "atlas", "bias", "iris",
+  "physics", "mathematics", "texas", "paris", "christmas",
+]);
+
+// Letters that are not decomposed by NFD
+const SPECIAL_LETTERS = {
+  ß: "ss",
+  æ: "ae",
+  œ: "oe",
+  ø: "o",
+  đ: "d",
+  ł: "l",
+  þ: "th",
+};
+
+/**
+ * Fold accents and special letters to plain ASCII ("Crème Brûlée" -> "Creme Brulee")
+ */
+export function foldDiacritics(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[ßæœøđłþ]/gi, (char) => {
+      const folded = SPECIAL_LETTERS[char.toLowerCase()];
+      return char === char.toLowerCase() ? folded : folded.toUpperCase();
+    });
+}
+
+/**
+ * Lowercase, fold accents, turn hyphens/underscores/slashes into spaces and drop other punctuation
+ */
+export function normalizeText(text) {
+  return foldDiacritics(text)
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[-_/\\.]+/g, " ")
+    .replace(/[^a-z0-9\s]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Singular form of an English noun ("buildings" -> "building", "berries" -> "berry")
+ */
+export function singularize(word) {
+  if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+  if (word.length <= 3 || NOT_PLURAL.has(word) || /(ss|us|is)$/.test(word)) return word;
+
+  if (/ies$/.test(word) && word.length > 4) return word.slice(0, -3) + "y";
+  if (/(ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2);
+  if (/s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Canonical tokens: normalized, singular words
+ */
+export function tokenize(text) {
+  return normalizeText(text).split(" ").filter(Boolean).map(singularize);
+}
+
+/**
+ * Canonical form used by every validator strategy ("Sun-Rises" -> "sun rise")
+ */
+export function canonicalize(text) {
+  return tokenize(text).join(" ");
+}
+
+/**
+ * Singular form with spaces removed, so compounds match their split forms
+ * ("sun rise", "sunrise" and "sun-rises" -> "sunrise")
+ * Verb forms are deliberately not stemmed: "caring" must not match "cars",
+ * "staring" must not match "stars" and "hated" must not match "hat".
+ */
+export function compactForm(text) {
+  return singularize(tokenize(text).join(""));
+}
+
+export default {
+  foldDiacritics,
+  normalizeText,
+  singularize,
+  tokenize,
+  canonicalize,
+  compactForm,
+};
@@ -57,6 +57,19 @@ export const stringUtils = {
     return str.length > length ? str.slice(0, length) + "..." : str;
   },
 
+  /**
+   * Deterministic 32-bit FNV-1a hash of a string
+   */
+  hash: (str) => {
+    let hash = 0x811c9dc5;
+    const input = String(str);
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
   /**
    * Capitalize first letter
    */
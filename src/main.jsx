@@ -3,16 +3,22 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import "./index.css";
 import "./styles/base.css";
+import { registerServiceWorker } from "./lib/offline";
+import { analyticsService } from "./lib/logger";
+import { profileStorage, subscribeProfiles } from "./lib/profileStore";
 
 // Clear theme modal flag to show modal every time (can be removed later)
-localStorage.removeItem('pixelpeekThemeModalShown');
+profileStorage.remove('theme_modal_shown');
 
-// Initialize analytics on app load
-if (process.env.NODE_ENV === "production") {
-  window.addEventListener("beforeunload", () => {
-    // Flush any remaining analytics
-  });
-}
+// Send pending analytics with sendBeacon when the page is hidden or closed
+window.addEventListener("pagehide", () => {
+  analyticsService.flushOnPageHide();
+});
+
+// Precache the app shell for offline play (production only)
+window.addEventListener("load", () => {
+  registerServiceWorker();
+});
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -25,6 +31,9 @@ setTimeout(() => {
   import('./js/theme-manager').then((module) => {
     const ThemeManager = module.default;
     ThemeManager.init();
+
+    // Each profile keeps its own theme
+    subscribeProfiles(() => ThemeManager.applySavedTheme());
     
     // Show theme UI after a short delay
     setTimeout(() => {
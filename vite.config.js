@@ -1,6 +1,54 @@
-import { defineConfig } from 'vite';
+import { createHash } from 'node:crypto';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createProxyHandler, getProxyOptionsFromEnv } from './server/proxy.mjs';
 
-export default defineConfig({
-  plugins: [react()]
+/**
+ * Mount the API proxy on the dev and preview servers
+ * Keys are read from .env without the VITE_ prefix, so they stay server-side.
+ */
+function apiProxy(env) {
+  const handler = createProxyHandler(getProxyOptionsFromEnv(env));
+  return {
+    name: 'pixelpeek-api-proxy',
+    configureServer(server) {
+      server.middlewares.use(handler);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handler);
+    }
+  };
+}
+
+/**
+ * Emit precache-manifest.json for the service worker (public/sw.js)
+ * Lists every built file; the version changes whenever a hashed file name does.
+ */
+function precacheManifest() {
+  return {
+    name: 'pixelpeek-precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle)
+        .filter((fileName) => !fileName.endsWith('.map'))
+        .map((fileName) => `/${fileName}`);
+      const urls = ['/', ...new Set([...files, '/index.html'])];
+      const version = createHash('sha256').update(urls.sort().join('\n')).digest('hex').slice(0, 12);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ version, files: urls }, null, 2)
+      });
+    }
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  const env = { ...loadEnv(mode, process.cwd(), ''), ...process.env };
+
+  return {
+    plugins: [react(), apiProxy(env), precacheManifest()]
+  };
 });